@@ -4,10 +4,13 @@
 let allClientData = [];
 const MAX_RETRIES = 3;
 let isFetching = false;
+const selectedClientIds = new Set(); // Rows ticked for batch printing
 
 // CRITICAL: Robust API_ROOT configuration using window.SCL_CONFIG
 const API_ROOT = window.SCL_CONFIG?.API_ROOT || `${window.location.origin}/api`;
 const ADMIN_FORM_URL = window.SCL_CONFIG?.ADMIN_FORM_URL || 'admin-form.html';
+const ADMIN_LOGIN_URL = window.SCL_CONFIG?.ADMIN_LOGIN_URL || 'admin-login.html';
+const AUTH_TOKEN_KEY = 'scl_admin_token';
 
 // --- DOM Elements (Defensive checks are kept) ---
 const dashboardContainer = document.getElementById('dashboardContainer');
@@ -18,6 +21,9 @@ const exportBtn = document.getElementById('exportBtn');
 const noResultsDiv = document.getElementById('noResults'); 
 const totalsDiv = document.getElementById('totals');       
 const searchBtn = document.getElementById('searchBtn');
+const selectAllCheckbox = document.getElementById('selectAll');
+const printSheetBtn = document.getElementById('printSheetBtn');
+const sheetSizeSelect = document.getElementById('sheetSize');
 
 // --- Modal & Toast Elements (New) ---
 const notesModal = document.getElementById('notesModal');
@@ -26,8 +32,28 @@ const modalTextarea = document.getElementById('modalTextarea');
 const modalConfirmBtn = document.getElementById('modalConfirmBtn');
 const modalCloseBtn = document.querySelector('.modal-content .close-btn'); 
 const toastContainer = document.getElementById('toast-container');
+const changesModal = document.getElementById('changesModal');
+const changeRequestList = document.getElementById('changeRequestList');
+const changeRequestCount = document.getElementById('changeRequestCount');
+let pendingChangeRequests = [];
 
 
+// --- Auth Helpers ---
+
+function getAuthToken() {
+    return localStorage.getItem(AUTH_TOKEN_KEY);
+}
+
+function getAuthHeaders(extra = {}) {
+    const token = getAuthToken();
+    return token ? { ...extra, 'Authorization': `Bearer ${token}` } : extra;
+}
+
+function redirectToLogin() {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    window.location.href = ADMIN_LOGIN_URL;
+}
+
 // --- UI Feedback & Helper Functions ---
 
 function showToast(message, type = 'success') {
@@ -66,6 +92,11 @@ function hideModal() {
     }
 }
 
+// Client fields come from the public signup form: escape everything interpolated into innerHTML
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (ch) => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]
+));
+
 function getStatusBadge(status) {
     const statusClean = status 
         ? status.charAt(0).toUpperCase() + status.slice(1).toLowerCase() 
@@ -89,7 +120,7 @@ function showFinalError(message) {
     
     clientTableBody.innerHTML = `
         <tr>
-            <td colspan="9" style="text-align:center; color: #ef4444; padding: 20px;">
+            <td colspan="10" style="text-align:center; color: #ef4444; padding: 20px;">
                 <i class="fas fa-exclamation-triangle" style="margin-right: 10px;"></i>
                 Failed to load data: ${message}
                 <button onclick="fetchAllClients()" style="margin-left: 15px; background: #FFD700; color: black; border: none; padding: 5px 10px; border-radius: 5px; cursor: pointer;">
@@ -121,6 +152,10 @@ function showNotesModal(action, clientId, newStatus) {
         
         if (action === 'Process') {
             processClient(clientId, notes); 
+        } else if (action === 'Erase') {
+            requestErasure(clientId, notes);
+        } else if (action === 'Approve' || action === 'Reject') {
+            reviewChangeRequest(clientId, action.toLowerCase(), notes); // clientId holds the change request ID here
         } else {
             changeClientStatus(clientId, newStatus, notes);
         }
@@ -129,6 +164,24 @@ function showNotesModal(action, clientId, newStatus) {
     notesModal.style.display = 'block';
 }
 
+// Status buttons come from the server's state machine (nextActions on each client); blocked moves are not shown
+const STATUS_ACTION_CLASSES = { Active: 'btn-enable', Suspended: 'btn-disable', Pending: 'btn-view', Deleted: 'btn-delete' };
+
+function getStatusActionButtons(client) {
+    return (client.nextActions || [])
+        .filter(action => action.allowed)
+        .map(action => `<button class="action-btn ${STATUS_ACTION_CLASSES[action.status] || 'btn-view'}" onclick="event.stopPropagation(); showNotesModal('${escapeHtml(action.label)}', '${client._id}', '${action.status}')">${escapeHtml(action.label)}</button>`)
+        .join('');
+}
+
+// Deleted clients can be restored until the retention purge removes their personal data
+function getRetentionNote(client) {
+    if (client.status !== 'Deleted') return '';
+    if (client.purgedAt) return `<br><small style="color:#aaa;">Purged ${new Date(client.purgedAt).toLocaleDateString()}</small>`;
+    if (client.purgeAfter) return `<br><small style="color:#aaa;">Purge after ${new Date(client.purgeAfter).toLocaleDateString()}</small>`;
+    return '';
+}
+
 function renderTable(data) {
     if (!clientTableBody) return;
 
@@ -137,7 +190,7 @@ function renderTable(data) {
     if (data.length === 0) {
         if (noResultsDiv) {
             noResultsDiv.style.display = 'block';
-            clientTableBody.innerHTML = '<tr><td colspan="9" style="text-align:center;">No clients found.</td></tr>';
+            clientTableBody.innerHTML = '<tr><td colspan="10" style="text-align:center;">No clients found.</td></tr>';
         }
         if (totalsDiv) totalsDiv.style.display = 'none';
         return;
@@ -158,41 +211,65 @@ function renderTable(data) {
 
         const currentStatus = client.status || 'Pending';
         
-        // SECURITY NOTE: In a real-world scenario, all URL/text inputs injected via innerHTML
-        // (like photoUrl, vcardUrl, qrCodeUrl) should be sanitized if they can be
-        // user-submitted to prevent XSS. Assuming they are safe, backend-generated URLs here.
+        const clientId = escapeHtml(client._id);
+        const photoSrc = (client.photoVariants && client.photoVariants.thumb) || client.photoUrl || 'https://placehold.co/50x50?text=No+Photo';
         
         tr.innerHTML = `
-            <td><img src="${client.photoUrl || 'https://placehold.co/50x50?text=No+Photo'}" alt="Client Photo" class="client-photo" onerror="this.onerror=null; this.src='https://placehold.co/50x50/111/fff?text=No+Photo';" /></td>
-            <td>${client.fullName || 'N/A'}</td>
-            <td>${client.company || 'N/A'}</td>
-            <td>${client.email1 || 'N/A'}</td>
-            <td>${client.phone1 || 'N/A'}</td>
-            <td>${getStatusBadge(currentStatus)}</td>
-            <td>${client.vcardUrl ? `<a href="${client.vcardUrl}" target="_blank" class="text-blue-500 hover:underline">View</a>` : 'N/A'}</td>
-            <td>${client.qrCodeUrl ? `<a href="${client.qrCodeUrl}" download="qrcode.png"><img src="${client.qrCodeUrl}" alt="QR Code" class="qr-code mx-auto" /></a>` : 'N/A'}</td>
+            <td><input type="checkbox" class="row-select" ${selectedClientIds.has(client._id) ? 'checked' : ''} onclick="event.stopPropagation(); toggleClientSelection('${clientId}', this.checked)" /></td>
+            <td><img src="${escapeHtml(photoSrc)}" alt="Client Photo" class="client-photo" onerror="this.onerror=null; this.src='https://placehold.co/50x50/111/fff?text=No+Photo';" /></td>
+            <td>${escapeHtml(client.fullName || 'N/A')}</td>
+            <td>${escapeHtml(client.company || 'N/A')}</td>
+            <td>${escapeHtml(client.email1 || 'N/A')}</td>
+            <td>${escapeHtml(client.phone1 || 'N/A')}</td>
+            <td>${getStatusBadge(currentStatus)}${getRetentionNote(client)}</td>
+            <td>${client.vcardUrl ? `<a href="${escapeHtml(client.vcardUrl)}" target="_blank" class="text-blue-500 hover:underline">View</a>` : 'N/A'}</td>
+            <td>${client.qrCodeUrl ? `<a href="${escapeHtml(client.qrCodeUrl)}" download="qrcode.png"><img src="${escapeHtml(client.qrCodeUrl)}" alt="QR Code" class="qr-code mx-auto" /></a>` : 'N/A'}${client.offlineQrCodeUrl ? `<a href="${escapeHtml(client.offlineQrCodeUrl)}" download="qrcode-offline.png" title="Offline contact QR (works without signal)"><img src="${escapeHtml(client.offlineQrCodeUrl)}" alt="Offline Contact QR" class="qr-code qr-code-offline mx-auto" /></a>` : ''}</td>
             <td class="actions-cell">
                 ${currentStatus === 'Pending' ? 
                     // event.stopPropagation() is crucial to prevent tr.onclick
-                    `<button class="action-btn btn-process" onclick="event.stopPropagation(); showNotesModal('Process', '${client._id}', null)">Process</button>` :
-                    `<button class="action-btn btn-view" onclick="event.stopPropagation(); showNotesModal('Process', '${client._id}', null)">View</button>`
-                }
-                ${currentStatus === 'Active' ? 
-                    `<button class="action-btn btn-disable" onclick="event.stopPropagation(); showNotesModal('Disable', '${client._id}', 'Disabled')">Disable</button>` :
-                    currentStatus === 'Disabled' ?
-                    `<button class="action-btn btn-enable" onclick="event.stopPropagation(); showNotesModal('Enable', '${client._id}', 'Active')">Enable</button>` :
-                    ''
+                    `<button class="action-btn btn-process" onclick="event.stopPropagation(); showNotesModal('Process', '${clientId}', null)">Process</button>` :
+                    `<button class="action-btn btn-view" onclick="event.stopPropagation(); showNotesModal('Process', '${clientId}', null)">View</button>`
                 }
-                ${currentStatus !== 'Deleted' ?
-                    `<button class="action-btn btn-delete" onclick="event.stopPropagation(); showNotesModal('Delete', '${client._id}', 'Deleted')">Delete</button>` :
+                ${getStatusActionButtons(client)}
+                ${client.slug && currentStatus !== 'Deleted' ?
+                    `<button class="action-btn btn-view" onclick="event.stopPropagation(); copyAnalyticsLink('${clientId}')">Stats Link</button>` :
                     ''
                 }
+                <button class="action-btn btn-view" onclick="event.stopPropagation(); openClientLinks('${clientId}')">Links</button>
+                <button class="action-btn btn-view" onclick="event.stopPropagation(); downloadClientExport('${clientId}')">Export Data</button>
+                <button class="action-btn btn-delete" onclick="event.stopPropagation(); showNotesModal('Erase', '${clientId}', null)">Erase</button>
             </td>
         `;
         clientTableBody.appendChild(tr);
     });
     
     updateTotals(data);
+    updateSelectionUi();
+}
+
+function toggleClientSelection(clientId, selected) {
+    if (selected) selectedClientIds.add(clientId);
+    else selectedClientIds.delete(clientId);
+    updateSelectionUi();
+}
+
+function toggleSelectAll(selected) {
+    document.querySelectorAll('#clientTableBody tr[data-client-id]').forEach(row => {
+        const checkbox = row.querySelector('.row-select');
+        if (checkbox) checkbox.checked = selected;
+        toggleClientSelection(row.dataset.clientId, selected);
+    });
+}
+
+function updateSelectionUi() {
+    if (printSheetBtn) {
+        printSheetBtn.disabled = selectedClientIds.size === 0;
+        printSheetBtn.innerHTML = `<i class="fas fa-print"></i> Print Selected (${selectedClientIds.size})`;
+    }
+    if (selectAllCheckbox) {
+        const rows = document.querySelectorAll('#clientTableBody .row-select');
+        selectAllCheckbox.checked = rows.length > 0 && [...rows].every(cb => cb.checked);
+    }
 }
 
 function updateTotals(data) {
@@ -200,8 +277,7 @@ function updateTotals(data) {
     
     const activeCount = data.filter(client => client.status === 'Active').length;
     const pendingCount = data.filter(client => client.status === 'Pending').length;
-    const processedCount = data.filter(client => client.status === 'Processed').length;
-    const disabledCount = data.filter(client => client.status === 'Disabled').length;
+    const suspendedCount = data.filter(client => client.status === 'Suspended').length;
     const deletedCount = data.filter(client => client.status === 'Deleted').length;
     
     totalsDiv.style.display = 'block';
@@ -209,8 +285,7 @@ function updateTotals(data) {
         Total Clients: ${data.length} | 
         Active: ${activeCount} | 
         Pending: ${pendingCount} | 
-        Processed: ${processedCount} |
-        Disabled: ${disabledCount} |
+        Suspended: ${suspendedCount} |
         Deleted: ${deletedCount}
     `;
 }
@@ -281,10 +356,11 @@ async function changeClientStatus(clientId, newStatus, notes) {
     try {
         const response = await fetch(`${API_ROOT}/clients/${clientId}/status/${newStatus}`, {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
+            headers: getAuthHeaders({ 'Content-Type': 'application/json' }),
             body: JSON.stringify({ notes }) 
         });
         
+        if (response.status === 401) return redirectToLogin();
         if (!response.ok) {
             const errorData = await response.json();
             throw new Error(errorData.message || `HTTP error! Status: ${response.status}`);
@@ -305,24 +381,350 @@ async function changeClientStatus(clientId, newStatus, notes) {
     }
 }
 
+// Polls a background job until it completes or is dead-lettered
+async function waitForJob(jobId, { intervalMs = 1500, timeoutMs = 300000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const response = await fetch(`${API_ROOT}/admin/jobs/${jobId}`, { headers: getAuthHeaders() });
+        if (response.status === 401) {
+            redirectToLogin();
+            throw new Error('Session expired.');
+        }
+        const json = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(json.message || `HTTP error! Status: ${response.status}`);
+
+        const job = json.data;
+        if (job.status === 'completed') return job;
+        if (job.status === 'dead') throw new Error(job.lastError || 'Job failed.');
+        await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+    throw new Error('Still rendering in the background. Check again shortly.');
+}
+
+async function printSelectedSheet() {
+    if (selectedClientIds.size === 0) return showToast('Select at least one client to print.', 'error');
+
+    const sheet = sheetSizeSelect ? sheetSizeSelect.value : 'A4';
+    printSheetBtn.disabled = true;
+    printSheetBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Imposing...`;
+
+    try {
+        const response = await fetch(`${API_ROOT}/admin/print-sheet`, {
+            method: 'POST',
+            headers: getAuthHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ clientIds: [...selectedClientIds], sheet })
+        });
+
+        if (response.status === 401) return redirectToLogin();
+        const queued = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(queued.message || `HTTP error! Status: ${response.status}`);
+
+        // Imposition runs as a background job; wait for it, then fetch the rendered PDF
+        printSheetBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Rendering...`;
+        const job = await waitForJob(queued.data.jobId);
+        const output = await fetch(`${API_ROOT}/admin/jobs/${job._id}/output`, { headers: getAuthHeaders() });
+        if (output.status === 401) return redirectToLogin();
+        if (!output.ok) throw new Error(`HTTP error! Status: ${output.status}`);
+
+        const pdfUrl = URL.createObjectURL(await output.blob());
+        window.open(pdfUrl, '_blank');
+        setTimeout(() => URL.revokeObjectURL(pdfUrl), 60000);
+        showToast(`Print sheet generated for ${selectedClientIds.size} clients.`);
+    } catch (error) {
+        console.error("Error generating print sheet:", error);
+        showToast(`Failed to generate print sheet: ${error.message}`, 'error');
+    } finally {
+        updateSelectionUi();
+    }
+}
+
+async function copyAnalyticsLink(clientId) {
+    try {
+        const response = await fetch(`${API_ROOT}/clients/${clientId}/analytics-link`, {
+            method: 'POST',
+            headers: getAuthHeaders()
+        });
+
+        if (response.status === 401) return redirectToLogin();
+        const json = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(json.message || `HTTP error! Status: ${response.status}`);
+
+        await navigator.clipboard.writeText(json.data.url);
+        showToast(`Analytics link copied (valid for ${json.data.expiresIn}). Share it with the client.`);
+    } catch (error) {
+        console.error("Error creating analytics link:", error);
+        showToast(`Failed to create analytics link: ${error.message}`, 'error');
+    }
+}
+
+// --- Data Subject Requests (ZIP export; erasure is owner-only and verified before it runs) ---
+
+async function downloadClientExport(clientId) {
+    try {
+        const response = await fetch(`${API_ROOT}/clients/${clientId}/export`, { headers: getAuthHeaders() });
+        if (response.status === 401) return redirectToLogin();
+        if (!response.ok) {
+            const json = await response.json().catch(() => ({}));
+            throw new Error(json.message || `HTTP error! Status: ${response.status}`);
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `client-${clientId}-data-export.zip`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+        showToast('Data export downloaded.');
+    } catch (error) {
+        console.error("Error exporting client data:", error);
+        showToast(`Failed to export client data: ${error.message}`, 'error');
+    }
+}
+
+// Clients with an email confirm the erasure from an emailed link; otherwise the owner confirms their identity here
+async function requestErasure(clientId, reason) {
+    const client = allClientData.find(c => c._id === clientId) || {};
+    const body = { reason, method: client.email1 ? 'email' : 'manual' };
+    if (body.method === 'manual') {
+        body.confirmName = window.prompt(`${client.fullName || 'This client'} has no email address to confirm with. Type their full name exactly to confirm the erasure:`);
+        if (body.confirmName === null) return;
+        body.verificationNotes = window.prompt('How was the client\'s identity verified?');
+        if (!body.verificationNotes) return showToast('Erasure cancelled: identity verification notes are required.', 'error');
+    }
+
+    try {
+        const response = await fetch(`${API_ROOT}/clients/${clientId}/erasure`, {
+            method: 'POST',
+            headers: getAuthHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(body)
+        });
+        if (response.status === 401) return redirectToLogin();
+        const json = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(json.message || `HTTP error! Status: ${response.status}`);
+
+        showToast(body.method === 'email' ? `${json.message} The erasure runs once the client confirms.` : json.message);
+        fetchAllClients();
+    } catch (error) {
+        console.error("Error requesting erasure:", error);
+        showToast(`Failed to request erasure: ${error.message}`, 'error');
+    }
+}
+
+// --- Client Change Requests (pending self-service edits) ---
+
+async function fetchChangeRequests() {
+    try {
+        const response = await fetch(`${API_ROOT}/admin/change-requests?status=pending`, { headers: getAuthHeaders() });
+        if (response.status === 401) return redirectToLogin();
+        const json = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(json.message || `HTTP error! Status: ${response.status}`);
+
+        pendingChangeRequests = json.data || [];
+        if (changeRequestCount) changeRequestCount.textContent = pendingChangeRequests.length;
+        renderChangeRequests();
+    } catch (error) {
+        console.error("Error fetching change requests:", error);
+        showToast(`Failed to load pending edits: ${error.message}`, 'error');
+    }
+}
+
+function renderChangeRequests() {
+    if (!changeRequestList) return;
+    if (pendingChangeRequests.length === 0) {
+        changeRequestList.innerHTML = '<p style="text-align:center; color:#aaa;">No pending edits.</p>';
+        return;
+    }
+
+    changeRequestList.innerHTML = pendingChangeRequests.map(cr => `
+        <div class="change-request">
+            <h3>${escapeHtml(cr.client ? cr.client.fullName : 'Unknown client')} ${cr.client && cr.client.company ? `<small>(${escapeHtml(cr.client.company)})</small>` : ''}</h3>
+            <small>Submitted ${new Date(cr.updatedAt).toLocaleString()} by ${escapeHtml(cr.submittedBy)}</small>
+            <table class="diff-table">
+                <thead><tr><th>Field</th><th>Current</th><th>Proposed</th></tr></thead>
+                <tbody>
+                    ${cr.diff.length ? cr.diff.map(d => `
+                        <tr>
+                            <td>${escapeHtml(d.field)}</td>
+                            <td class="diff-old">${escapeHtml(d.old) || '<em>empty</em>'}</td>
+                            <td class="diff-new">${escapeHtml(d.new) || '<em>empty</em>'}</td>
+                        </tr>`).join('') : '<tr><td colspan="3" style="text-align:center;">No differences from the current card.</td></tr>'}
+                </tbody>
+            </table>
+            <div class="review-actions">
+                <button class="action-btn btn-enable" onclick="showNotesModal('Approve', '${cr._id}', null)">Approve</button>
+                <button class="action-btn btn-delete" onclick="showNotesModal('Reject', '${cr._id}', null)">Reject</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// --- Card Links (permanent short link + redirecting former slugs) ---
+
+async function openClientLinks(clientId) {
+    const linksModal = document.getElementById('linksModal');
+    const body = document.getElementById('clientLinksBody');
+    if (!linksModal || !body) return;
+
+    body.innerHTML = getLoadingHtml();
+    linksModal.style.display = 'block';
+    try {
+        const response = await fetch(`${API_ROOT}/clients/${clientId}/aliases`, { headers: getAuthHeaders() });
+        if (response.status === 401) return redirectToLogin();
+        const json = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(json.message || `HTTP error! Status: ${response.status}`);
+
+        const { cardUrl, shortUrl, aliases } = json.data;
+        body.innerHTML = `
+            <table class="diff-table">
+                <tbody>
+                    <tr><td>Current page</td><td><a href="${escapeHtml(cardUrl)}" target="_blank">${escapeHtml(cardUrl)}</a></td></tr>
+                    <tr><td>QR short link</td><td>${shortUrl ? `<a href="${escapeHtml(shortUrl)}" target="_blank">${escapeHtml(shortUrl)}</a>` : 'Not assigned yet'}</td></tr>
+                </tbody>
+            </table>
+            <h3 style="color:#FFD700; margin-bottom:0;">Former slugs (301 redirect)</h3>
+            <table class="diff-table">
+                <thead><tr><th>Old URL</th><th>Retired</th></tr></thead>
+                <tbody>
+                    ${aliases.length ? aliases.map(a => `<tr><td>${escapeHtml(a.url)}</td><td>${new Date(a.since).toLocaleString()}</td></tr>`).join('') : '<tr><td colspan="2" style="text-align:center;">No former slugs.</td></tr>'}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error("Error fetching card links:", error);
+        body.innerHTML = '';
+        closeClientLinks();
+        showToast(`Failed to load card links: ${error.message}`, 'error');
+    }
+}
+
+function closeClientLinks() {
+    const linksModal = document.getElementById('linksModal');
+    if (linksModal) linksModal.style.display = 'none';
+}
+
+// --- Status Change Notifications (per-transition opt-in; saving is owner-only) ---
+
+async function openNotificationSettings() {
+    const modal = document.getElementById('notificationsModal');
+    const body = document.getElementById('notificationSettingsBody');
+    if (!modal || !body) return;
+
+    body.innerHTML = getLoadingHtml();
+    modal.style.display = 'block';
+    try {
+        const response = await fetch(`${API_ROOT}/admin/settings/status-notifications`, { headers: getAuthHeaders() });
+        if (response.status === 401) return redirectToLogin();
+        const json = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(json.message || `HTTP error! Status: ${response.status}`);
+
+        body.innerHTML = `
+            <table class="diff-table">
+                <thead><tr><th>Transition</th><th>Email</th><th>Send</th><th>Include reason</th></tr></thead>
+                <tbody>
+                    ${json.data.map(rule => `
+                        <tr data-transition="${escapeHtml(rule.transition)}">
+                            <td>${escapeHtml(rule.from)} &rarr; ${escapeHtml(rule.to)}</td>
+                            <td>${escapeHtml(rule.template)}</td>
+                            <td><input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''} /></td>
+                            <td><input type="checkbox" data-field="includeNotes" ${rule.includeNotes ? 'checked' : ''} /></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error("Error fetching notification settings:", error);
+        closeNotificationSettings();
+        showToast(`Failed to load notification settings: ${error.message}`, 'error');
+    }
+}
+
+function closeNotificationSettings() {
+    const modal = document.getElementById('notificationsModal');
+    if (modal) modal.style.display = 'none';
+}
+
+async function saveNotificationSettings() {
+    const rows = document.querySelectorAll('#notificationSettingsBody tr[data-transition]');
+    const updates = {};
+    rows.forEach(row => {
+        updates[row.dataset.transition] = {
+            enabled: row.querySelector('[data-field="enabled"]').checked,
+            includeNotes: row.querySelector('[data-field="includeNotes"]').checked
+        };
+    });
+
+    try {
+        const response = await fetch(`${API_ROOT}/admin/settings/status-notifications`, {
+            method: 'PUT',
+            headers: getAuthHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(updates)
+        });
+        if (response.status === 401) return redirectToLogin();
+        const json = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(json.message || `HTTP error! Status: ${response.status}`);
+
+        showToast('Notification settings saved.');
+        closeNotificationSettings();
+    } catch (error) {
+        console.error("Error saving notification settings:", error);
+        showToast(`Failed to save notification settings: ${error.message}`, 'error');
+    }
+}
+
+async function openChangeRequests() {
+    if (changesModal) changesModal.style.display = 'block';
+    await fetchChangeRequests();
+}
+
+function closeChangeRequests() {
+    if (changesModal) changesModal.style.display = 'none';
+}
+
+async function reviewChangeRequest(changeRequestId, decision, notes) {
+    try {
+        const response = await fetch(`${API_ROOT}/admin/change-requests/${changeRequestId}/${decision}`, {
+            method: 'POST',
+            headers: getAuthHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ notes })
+        });
+
+        if (response.status === 401) return redirectToLogin();
+        const json = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(json.message || `HTTP error! Status: ${response.status}`);
+
+        showToast(json.message || `Change request ${decision}d.`);
+        await fetchChangeRequests();
+        if (decision === 'approve') await fetchAllClients();
+    } catch (error) {
+        console.error("Error reviewing change request:", error);
+        showToast(`Failed to ${decision} change request: ${error.message}`, 'error');
+    }
+}
+
 async function fetchAllClients() {
     if (isFetching || !API_ROOT) return;
     
     isFetching = true;
     
     for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-        if (clientTableBody) clientTableBody.innerHTML = `<tr><td colspan="9" style="text-align:center;">${getLoadingHtml(attempt)}</td></tr>`;
+        if (clientTableBody) clientTableBody.innerHTML = `<tr><td colspan="10" style="text-align:center;">${getLoadingHtml(attempt)}</td></tr>`;
         
         try {
             // CORRECTION: Use the Admin API route /admin/clients which should exist on the backend.
-            const response = await fetch(`${API_ROOT}/admin/clients`);
+            const response = await fetch(`${API_ROOT}/admin/clients`, { headers: getAuthHeaders() });
             
+            if (response.status === 401) {
+                isFetching = false;
+                return redirectToLogin();
+            }
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({ message: 'Server responded with error status.' }));
                 throw new Error(errorData.message || `HTTP error! Status: ${response.status}`);
             }
             
-            allClientData = await response.json();
+            const json = await response.json();
+            allClientData = Array.isArray(json.data) ? json.data : [];
             renderTable(allClientData);
             isFetching = false;
             return; 
@@ -357,6 +759,8 @@ if (searchBtn) searchBtn.addEventListener('click', filterAndSearch);
 if (filterInput) filterInput.addEventListener('keyup', filterAndSearch); 
 if (statusFilter) statusFilter.addEventListener('change', filterAndSearch);
 if (exportBtn) exportBtn.addEventListener('click', exportToCsv);
+if (selectAllCheckbox) selectAllCheckbox.addEventListener('change', (e) => toggleSelectAll(e.target.checked));
+if (printSheetBtn) printSheetBtn.addEventListener('click', printSelectedSheet);
 
 // Modal close listeners
 if (modalCloseBtn) modalCloseBtn.addEventListener('click', hideModal);
@@ -370,13 +774,16 @@ if (notesModal) {
 async function init() {
     if (!API_ROOT) {
          console.error('CRITICAL: API_ROOT is not configured. Check the SCL_CONFIG block in adminDashboard.html.');
-         if (clientTableBody) clientTableBody.innerHTML = '<tr><td colspan="9" style="text-align:center; color: red;">API Configuration Missing. Check Console.</td></tr>';
+         if (clientTableBody) clientTableBody.innerHTML = '<tr><td colspan="10" style="text-align:center; color: red;">API Configuration Missing. Check Console.</td></tr>';
          return;
     }
 
+    if (!getAuthToken()) return redirectToLogin();
+
     if (dashboardContainer) dashboardContainer.style.display = 'block';
     
     await fetchAllClients();
+    fetchChangeRequests();
 }
 
 document.addEventListener('DOMContentLoaded', init);
@@ -386,4 +793,15 @@ window.changeClientStatus = changeClientStatus;
 window.processClient = processClient;
 window.fetchAllClients = fetchAllClients;
 window.exportToCsv = exportToCsv;
-window.showNotesModal = showNotesModal;
\ No newline at end of file
+window.showNotesModal = showNotesModal;
+window.redirectToLogin = redirectToLogin;
+window.toggleClientSelection = toggleClientSelection;
+window.copyAnalyticsLink = copyAnalyticsLink;
+window.openChangeRequests = openChangeRequests;
+window.closeChangeRequests = closeChangeRequests;
+window.openClientLinks = openClientLinks;
+window.closeClientLinks = closeClientLinks;
+window.downloadClientExport = downloadClientExport;
+window.openNotificationSettings = openNotificationSettings;
+window.closeNotificationSettings = closeNotificationSettings;
+window.saveNotificationSettings = saveNotificationSettings;
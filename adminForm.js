@@ -9,21 +9,30 @@
   const params = new URLSearchParams(window.location.search);
   const clientId = params.get('id');
 
+  const ADMIN_LOGIN_URL = 'admin-login.html';
+  const AUTH_TOKEN_KEY = 'scl_admin_token';
+
   // ------------------------
   // DOM Elements
   // ------------------------
   const form = document.getElementById('adminForm');
   const viewPdfBtn = document.getElementById('view-pdf-btn');
   const createVcardBtn = document.getElementById('create-vcard-btn');
+  const printCardBtn = document.getElementById('print-card-btn');
   const photoUploadInput = document.getElementById('photoFile');
   const photoUrlInput = document.getElementById('photoUrl');
   const photoUploadLabel = document.getElementById('photo-upload-label');
   const photoPreviewContainer = document.getElementById('photo-preview-container');
   const photoPreview = document.getElementById('photo-preview');
+  const offlineQrEnabled = document.getElementById('offlineQrEnabled');
+  const offlineQrFormat = document.getElementById('offlineQrFormat');
+  const offlineQrLevel = document.getElementById('offlineQrLevel');
+  const offlineQrMaxVersion = document.getElementById('offlineQrMaxVersion');
   const saveBtn = document.getElementById('save-btn');
   const toastMessage = document.getElementById('toast-message');
 
   let isSaving = false;
+  let uploadedPhotoVariants = null; // Sizes the server cut from the last uploaded photo
 
   // ------------------------
   // Helper Constants and Functions
@@ -110,6 +119,49 @@
     return cleaned.length >= 10; // Check length
   };
   
+  /**
+   * Adds the stored admin JWT to request headers.
+   * @param {object} extra Additional headers to send.
+   * @returns {object}
+   */
+  const authHeaders = (extra = {}) => {
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    return token ? { ...extra, 'Authorization': `Bearer ${token}` } : extra;
+  };
+
+  /**
+   * Sends the admin back to the login page when the session is missing or expired.
+   * @param {Response} response
+   * @returns {boolean} True if a redirect was triggered.
+   */
+  const handleUnauthorized = (response) => {
+    if (response.status !== 401) return false;
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    window.location.href = ADMIN_LOGIN_URL;
+    return true;
+  };
+
+  /**
+   * Polls a background job until it completes or is dead-lettered.
+   * @param {string} jobId
+   * @returns {Promise<object>} The completed job (its `result` holds the output).
+   */
+  const waitForJob = async (jobId, { intervalMs = 1500, timeoutMs = 120000 } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const response = await fetch(`${API_URL}/admin/jobs/${jobId}`, { headers: authHeaders() });
+      if (handleUnauthorized(response)) throw new Error('Session expired.');
+      const json = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(json.message || `HTTP error! Status: ${response.status}`);
+
+      const job = json.data;
+      if (job.status === 'completed') return job;
+      if (job.status === 'dead') throw new Error(job.lastError || 'Job failed.');
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+    throw new Error('Still processing in the background. Check again shortly.');
+  };
+
   /**
    * Displays a toast message to the user.
    * @param {string} message The message to display.
@@ -135,6 +187,14 @@
       if (el && value) el.value = value;
     };
 
+    // Offline QR settings used the last time the vCard was created
+    if (offlineQrEnabled && data.offlineQr) {
+      offlineQrEnabled.checked = !!data.offlineQr.enabled;
+      setValue('offlineQrFormat', data.offlineQr.format);
+      setValue('offlineQrLevel', data.offlineQr.errorCorrectionLevel);
+      setValue('offlineQrMaxVersion', data.offlineQr.maxVersion);
+    }
+
     // Personal Details
     setValue('fullName', data.fullName);
     setValue('title', data.title);
@@ -150,6 +210,7 @@
     setValue('businessWebsite', data.businessWebsite);
     setValue('portfolioWebsite', data.portfolioWebsite);
     setValue('locationMapUrl', data.locationMap); 
+    setValue('logoUrl', data.logoUrl);
 
     // Photo URL
     if (data.photoUrl) {
@@ -177,6 +238,7 @@
     // Bio & Address
     setValue('bio', data.bio);
     setValue('address', data.address);
+    setValue('cardDesign', data.cardDesign);
   };
 
   // ------------------------
@@ -185,7 +247,8 @@
 
   const fetchClientData = async (id) => {
     try {
-      const response = await fetch(`${API_URL}/clients/${id}`);
+      const response = await fetch(`${API_URL}/clients/${id}`, { headers: authHeaders() });
+      if (handleUnauthorized(response)) return;
       if (!response.ok) {
         throw new Error(`Failed to fetch client data for ID: ${id}`);
       }
@@ -220,8 +283,9 @@
         throw new Error(data.message || 'Photo upload failed on the server.');
       }
 
-      const photoUrl = data.photoUrl;
+      const { photoUrl, photoVariants } = data.data || data;
       photoUrlInput.value = photoUrl;
+      uploadedPhotoVariants = photoVariants || null;
       showToast('Photo uploaded successfully!');
 
       photoUploadLabel.textContent = 'Photo Uploaded';
@@ -286,9 +350,10 @@
         delete payload.locationMapUrl;
       }
       
-      // Map photoUrl field
+      // Map photoUrl field (with its variants when it is the photo uploaded in this session)
       if (payload.photoUrl) {
           payload.photoUrl = payload.photoUrl;
+          if (uploadedPhotoVariants && uploadedPhotoVariants.card === payload.photoUrl) payload.photoVariants = uploadedPhotoVariants;
       }
 
       // Populate nested workingHours
@@ -318,9 +383,10 @@
 
       const response = await fetch(url, {
         method: method,
-        headers: { 'Content-Type': 'application/json' },
+        headers: clientId ? authHeaders({ 'Content-Type': 'application/json' }) : { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload),
       });
+      if (handleUnauthorized(response)) return;
       
       const data = await response.json();
 
@@ -353,22 +419,20 @@
     viewPdfBtn.disabled = true;
 
     try {
-      const response = await fetch(`${API_URL}/clients/${clientId}/pdf`);
+      const response = await fetch(`${API_URL}/clients/${clientId}/pdf`, { method: 'POST', headers: authHeaders() });
+      if (handleUnauthorized(response)) return;
       
       if (!response.ok) {
         const errorData = await response.json();
         throw new Error(errorData.message || 'Failed to retrieve PDF.');
       }
       
-      const data = response.url ? { pdfUrl: response.url } : await response.json();
-      const pdfUrl = data.pdfUrl || data.url || response.url;
-
-      if (pdfUrl) {
-        window.open(pdfUrl, '_blank');
-        showToast('PDF opened successfully!');
-      } else {
-         throw new Error('PDF URL not returned by server.');
-      }
+      // The server streams the PDF itself, so open it from a Blob URL
+      const pdfBlob = await response.blob();
+      const pdfUrl = URL.createObjectURL(pdfBlob);
+      window.open(pdfUrl, '_blank');
+      setTimeout(() => URL.revokeObjectURL(pdfUrl), 60000);
+      showToast('PDF opened successfully!');
       
     } catch (error) {
       console.error('PDF retrieval error:', error);
@@ -381,6 +445,48 @@
     }
   };
 
+  const handlePrintCardClick = async () => {
+    if (!clientId) return showToast('Please save client info first.', true);
+
+    printCardBtn.classList.add('pressed');
+    printCardBtn.innerHTML = 'Rendering... <span class="spinner"></span>';
+    printCardBtn.disabled = true;
+
+    try {
+      const design = document.getElementById('cardDesign').value;
+      const response = await fetch(`${API_URL}/clients/${clientId}/print-card?design=${encodeURIComponent(design)}`, { method: 'POST', headers: authHeaders() });
+      if (handleUnauthorized(response)) return;
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to render print card.');
+      }
+
+      const pdfUrl = URL.createObjectURL(await response.blob());
+      window.open(pdfUrl, '_blank');
+      setTimeout(() => URL.revokeObjectURL(pdfUrl), 60000);
+      showToast('Print card opened successfully!');
+    } catch (error) {
+      console.error('Print card error:', error);
+      showToast(`Print card failed: ${error.message}`, true);
+    } finally {
+      printCardBtn.innerHTML = 'Print Card PDF';
+      printCardBtn.classList.remove('pressed');
+      printCardBtn.disabled = false;
+    }
+  };
+
+  // Offline QR options sent with vCard creation: false turns it off; without the controls the saved settings are kept
+  const offlineQrOptions = () => {
+    if (!offlineQrEnabled) return undefined;
+    if (!offlineQrEnabled.checked) return false;
+    return {
+      format: offlineQrFormat.value,
+      errorCorrectionLevel: offlineQrLevel.value,
+      maxVersion: Number(offlineQrMaxVersion.value),
+    };
+  };
+
   const handleCreateVcardClick = async () => {
     if (!clientId) return showToast('Please save client info first.', true);
 
@@ -391,15 +497,21 @@
     try {
       const response = await fetch(`${API_URL}/clients/${clientId}/vcard`, {
         method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ offlineQr: offlineQrOptions() }),
       });
+      if (handleUnauthorized(response)) return;
 
       if (!response.ok) {
         const errorData = await response.json();
         throw new Error(errorData.message || 'Failed to create vCard.');
       }
 
-      const data = await response.json();
-      showToast('vCard and QR code created successfully! Email sent.', false);
+      // Creation runs as a background job; wait for it so the links can be opened
+      const queued = await response.json();
+      createVcardBtn.innerHTML = 'Processing... <span class="spinner"></span>';
+      const { result: data } = await waitForJob(queued.data.jobId);
+      showToast('vCard and QR code created successfully! Email queued.', false);
 
       if (data.vcardUrl) window.open(data.vcardUrl, '_blank');
       
@@ -407,9 +519,10 @@
         const qrCodeWindow = window.open('', '_blank');
         qrCodeWindow.document.write(`
           <html><head><title>QR Code</title>
-          <style>body{margin:0;display:flex;justify-content:center;align-items:center;min-height:100vh;background:#f0f0f0;}</style>
+          <style>body{margin:0;display:flex;justify-content:center;align-items:center;gap:2rem;min-height:100vh;background:#f0f0f0;}</style>
           </head><body>
-            <img src="${data.qrCodeUrl}" alt="QR Code" style="max-width:90%;max-height:90vh;">
+            <img src="${data.qrCodeUrl}" alt="QR Code" style="max-width:${data.offlineQrCodeUrl ? 45 : 90}%;max-height:90vh;">
+            ${data.offlineQrCodeUrl ? `<img src="${data.offlineQrCodeUrl}" alt="Offline Contact QR" title="Offline contact QR" style="max-width:45%;max-height:90vh;">` : ''}
           </body></html>
         `);
         qrCodeWindow.document.close();
@@ -454,5 +567,6 @@
   form.addEventListener('submit', handleFormSubmission);
   viewPdfBtn.addEventListener('click', handleViewPdfClick);
   createVcardBtn.addEventListener('click', handleCreateVcardClick);
+  printCardBtn.addEventListener('click', handlePrintCardClick);
 
 })();
\ No newline at end of file
@@ -74,12 +74,21 @@
     }
   }
 
+  // Card data is embedded by the server-rendered /:slug page; fall back to the JSON variant of the same URL
   async function fetchProfileData() {
+    const embedded = el('cardData');
+    if (embedded && embedded.textContent.trim()) {
+      try {
+        return JSON.parse(embedded.textContent);
+      } catch (err) {
+        console.error('Invalid embedded card data', err);
+      }
+    }
     try {
-      const res = await fetch('/api/clients/all');
+      const res = await fetch(window.location.pathname, { headers: { Accept: 'application/json' } });
       if (!res.ok) throw new Error('API Error');
       const json = await res.json();
-      return (json.data && json.data.length > 0) ? json.data[0] : null;
+      return json.data || null;
     } catch (err) {
       console.error(err);
       return null;
@@ -90,7 +99,7 @@
     photoArea.innerHTML = '';
     if (url) {
       const img = document.createElement('img');
-      img.src = url; // Treated verbatim as Cloudinary public URL
+      img.src = url; // Treated verbatim as the storage public URL
       img.alt = "Profile";
       img.onerror = () => { photoArea.innerHTML = '<div class="not-provided">Photo not provided</div>'; };
       photoArea.appendChild(img);
@@ -177,8 +186,9 @@
 
     actions.print.onclick = () => window.print();
 
+    // Rendered on request by the server (GET /:slug/contact.vcf), so it is always current and carries the photo
     actions.save.onclick = () => {
-      if(client.vcfDownloadUrl) window.location.href = client.vcfDownloadUrl;
+      if(client.slug) window.location.href = `/${encodeURIComponent(client.slug)}/contact.vcf`;
       else alertMsg("Download link unavailable");
     };
   }
@@ -189,22 +199,24 @@
       else alertMsg(fallback);
     };
 
-    buttons.business.onclick = () => openOrAlert(client.businessUrl);
-    buttons.portfolio.onclick = () => openOrAlert(client.portfolioUrl);
-    buttons.location.onclick = () => openOrAlert(client.locationUrl, 'Location Not Provided');
-    buttons.physical.onclick = () => alertMsg(client.physicalAddress || 'Address Not Provided');
+    const social = client.socialLinks || {};
 
-    buttons.facebook.onclick = () => openOrAlert(client.facebookUrl);
-    buttons.instagram.onclick = () => openOrAlert(client.instagramUrl);
-    buttons.x.onclick = () => openOrAlert(client.xUrl);
-    buttons.linkedin.onclick = () => openOrAlert(client.linkedinUrl);
-    buttons.tiktok.onclick = () => openOrAlert(client.tiktokUrl);
-    buttons.youtube.onclick = () => openOrAlert(client.youtubeUrl);
+    buttons.business.onclick = () => openOrAlert(client.businessWebsite || client.website);
+    buttons.portfolio.onclick = () => openOrAlert(client.portfolioWebsite);
+    buttons.location.onclick = () => openOrAlert(client.locationMap, 'Location Not Provided');
+    buttons.physical.onclick = () => alertMsg(client.address || 'Address Not Provided');
+
+    buttons.facebook.onclick = () => openOrAlert(social.facebook);
+    buttons.instagram.onclick = () => openOrAlert(social.instagram);
+    buttons.x.onclick = () => openOrAlert(social.twitter);
+    buttons.linkedin.onclick = () => openOrAlert(social.linkedin);
+    buttons.tiktok.onclick = () => openOrAlert(social.tiktok);
+    buttons.youtube.onclick = () => openOrAlert(social.youtube);
 
     buttons.book.onclick = () => {
       const title = encodeURIComponent(client.fullName || 'Appointment');
       const details = encodeURIComponent(client.bio || '');
-      const location = encodeURIComponent(client.physicalAddress || '');
+      const location = encodeURIComponent(client.address || '');
       const start = client.appointmentStart || '';
       const end = client.appointmentEnd || '';
       let url = 'https://calendar.google.com/calendar/render?action=TEMPLATE';
@@ -216,6 +228,39 @@
     };
   }
 
+  // ANALYTICS: fire-and-forget beacon so taps never wait on the network
+  function trackEvent(slug, type, action) {
+    if (!slug) return;
+    const url = `/api/cards/${encodeURIComponent(slug)}/events`;
+    const body = JSON.stringify({ type, action, referrer: document.referrer || '' });
+    try {
+      if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) return;
+      fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true }).catch(() => {});
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  function instrumentTaps(client) {
+    const taps = [
+      [actions.call, 'call'], [actions.sms, 'sms'], [actions.wa, 'whatsapp'], [actions.mail, 'email'],
+      [actions.print, 'print'], [buttons.moreInfo, 'more_info'], [buttons.book, 'book_appointment'],
+      [buttons.business, 'business_website'], [buttons.portfolio, 'portfolio_website'],
+      [buttons.location, 'location_map'], [buttons.physical, 'address'],
+      [buttons.facebook, 'facebook'], [buttons.instagram, 'instagram'], [buttons.x, 'twitter'],
+      [buttons.linkedin, 'linkedin'], [buttons.tiktok, 'tiktok'], [buttons.youtube, 'youtube']
+    ];
+    taps.forEach(([node, action]) => {
+      if (node) node.addEventListener('click', () => trackEvent(client.slug, 'tap', action));
+    });
+    if (actions.save) {
+      actions.save.addEventListener('click', () => {
+        if (client.slug) trackEvent(client.slug, 'vcard_download');
+        else trackEvent(client.slug, 'tap', 'save');
+      });
+    }
+  }
+
   async function init() {
     const client = await fetchProfileData();
 
@@ -233,6 +278,7 @@
       renderHours(client.workingHours);
       setupPopup1Actions(client);
       setupPopup2Buttons(client);
+      instrumentTaps(client);
     }
 
     [ [phoneDropdownBtn, phoneList], [emailDropdownBtn, emailList] ].forEach(([btn, list]) => {
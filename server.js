@@ -8,13 +8,24 @@ const cors = require("cors");
 const helmet = require("helmet");
 const RateLimit = require("express-rate-limit");
 const cloudinary = require("cloudinary").v2;
+const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, CopyObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require("@aws-sdk/client-s3");
 const multer = require("multer");
 const qrcode = require("qrcode");
-const vCardJS = require("vcards-js");
 const nodemailer = require("nodemailer");
 const pino = require("pino");
 const pinoHttp = require("pino-http");
 const fs = require("fs"); 
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const jwt = require("jsonwebtoken");
+const PDFDocument = require("pdfkit");
+const axios = require("axios");
+const puppeteer = require("puppeteer");
+const { Semaphore } = require("await-semaphore");
+const archiver = require("archiver");
+const { Parser: CsvParser } = require("json2csv");
+const sharp = require("sharp");
+const heicConvert = require("heic-convert");
 require('dotenv').config(); // CRITICAL: Load .env variables
 
 // Configure custom logger
@@ -48,15 +59,197 @@ const CLOUDINARY_CLOUD_NAME = process.env.CLOUDINARY_CLOUD_NAME;
 const CLOUDINARY_API_KEY = process.env.CLOUDINARY_API_KEY;
 const CLOUDINARY_API_SECRET = process.env.CLOUDINARY_API_SECRET;
 
+// File Storage: where photos and vCards are kept. "local" (disk, served from /uploads), "s3" (any S3-compatible service,
+// e.g. MinIO) or "cloudinary". Defaults to Cloudinary when its credentials are set, local disk otherwise.
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (CLOUDINARY_CLOUD_NAME && CLOUDINARY_API_KEY && CLOUDINARY_API_SECRET ? "cloudinary" : "local");
+const STORAGE_FOLDERS = { photos: "smartcardlink_photos", vcards: "smartcardlink_vcards" };
+const STORAGE_LOCAL_DIR = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "uploads"));
+const STORAGE_LOCAL_ROUTE = "/uploads";
+const S3_BUCKET = process.env.S3_BUCKET;
+const S3_REGION = process.env.S3_REGION || "us-east-1";
+const S3_ENDPOINT = process.env.S3_ENDPOINT; // Set for MinIO and other non-AWS services
+const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID;
+const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY;
+const S3_FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === "true" : Boolean(S3_ENDPOINT);
+const S3_PUBLIC_URL = process.env.S3_PUBLIC_URL; // Base URL objects are served from; the bucket must allow public reads
+
+// Client Photos: uploads are identified by magic bytes, auto-rotated, stripped of metadata, square-cropped around the
+// subject and stored as JPEG variants (Client.photoVariants). The card variant doubles as photoUrl.
+const PHOTO_MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const PHOTO_MAX_INPUT_PIXELS = 40 * 1000 * 1000; // Decompression bomb guard
+const PHOTO_MIN_SIZE = 200; // Shortest side, in pixels
+const PHOTO_TEMP_UPLOAD_TTL_HOURS = 24; // Form uploads no client adopted by then are deleted
+const PHOTO_TEMP_SWEEP_MS = 60 * 60 * 1000;
+const PHOTO_VARIANTS = {
+  card: { size: 800, quality: 85 }, // Public card page, PDFs and social previews
+  thumb: { size: 128, quality: 75 }, // Admin dashboard table
+  vcard: { size: 256, quality: 70 }, // Small enough to embed in the vCard PHOTO field
+};
+
+// Admin Authentication
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "12h";
+// Admin and client tokens share JWT_SECRET; the required audience keeps either kind out of the other's guard
+const JWT_AUDIENCES = { admin: "smartcardlink-admin", client: "smartcardlink-client" };
+const BCRYPT_ROUNDS = 12;
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME; // Bootstrap owner account (only used when no admin exists yet)
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+const ADMIN_ROLES = ["owner", "operator", "viewer"];
+
+// Client Self-Service (clients see and manage only their own card)
+const CLIENT_TOKEN_EXPIRES_IN = process.env.CLIENT_TOKEN_EXPIRES_IN || "30d"; // Read-only analytics links
+const CLIENT_SESSION_EXPIRES_IN = process.env.CLIENT_SESSION_EXPIRES_IN || "1h"; // Magic-link sessions that can edit and export
+// Client token scopes: an analytics link only reads stats, a session (from a login link) can also edit and export
+const CLIENT_SCOPES = { analytics: "client_analytics", session: "client_session" };
+const CLIENT_ANALYTICS_PAGE = "client-analytics.html";
+const CLIENT_PORTAL_PAGE = "client-portal.html";
+const MAGIC_LINK_TTL_MINUTES = 15;
+const CLIENT_EDITS_REQUIRE_APPROVAL = process.env.CLIENT_EDITS_REQUIRE_APPROVAL === "true"; // Hold self-edits until an admin reviews them
+const CLIENT_EDITABLE_FIELDS = ["bio", "phone1", "phone2", "phone3", "email1", "email2", "email3"]; // Plus socialLinks/workingHours; photos only via upload
+const CHANGE_REQUEST_STATUSES = ["pending", "approved", "rejected"];
+
+// Admin client edits (PUT /api/clients/:id); approved change requests go through the same allowlist
+const CLIENT_UPDATE_FIELDS = [
+  "fullName", "title", "company", "businessWebsite", "portfolioWebsite", "locationMap",
+  "phone1", "phone2", "phone3", "email1", "email2", "email3", "address", "bio", "photoUrl", "logoUrl", "cardDesign",
+]; // status is not editable here: it only changes through the state machine (PUT /api/clients/:id/status/:newStatus)
+const CLIENT_NESTED_FIELDS = ["socialLinks", "workingHours"];
+
+// Audit trail: fields diffed on every client mutation, and those a history restore leaves alone
+const CLIENT_AUDITED_FIELDS = [...CLIENT_UPDATE_FIELDS, "status", "slug", "vcardUrl"];
+const RESTORE_EXCLUDED_FIELDS = ["status", "slug", "vcardUrl", "photoUrl"]; // Lifecycle/identity fields have their own routes; replaced photos are deleted
+const HISTORY_PAGE_LIMIT = 100;
+
+// Print Cards (standard 85x55mm business card with 3mm bleed)
+const CARD_DESIGNS = ["classic", "light", "minimal"];
+const MM = 72 / 25.4; // PDF points per millimetre
+const CARD_TRIM_W = 85 * MM;
+const CARD_TRIM_H = 55 * MM;
+const CARD_BLEED = 3 * MM;
+const CARD_SLUG = 7 * MM; // Space outside the bleed reserved for crop marks
+const SHEET_SIZES = { A4: [210 * MM, 297 * MM], SRA3: [320 * MM, 450 * MM] }; // Imposition sheets (portrait)
+const SHEET_MARGIN = 10 * MM; // Outer margin holding the bleed and crop marks
+const MAX_SHEET_CLIENTS = 200;
+
+// vCard artefacts (.vcf + QR) are rebuilt automatically when a field they are built from changes
+const VCARD_SOURCE_FIELDS = [
+  "fullName", "title", "company", "phone1", "phone2", "phone3", "email1", "email2", "email3",
+  "address", "website", "businessWebsite", "portfolioWebsite", "socialLinks", "photoUrl", "logoUrl", "slug",
+];
+const VCARD_REBUILD_SWEEP_MS = 5 * 60 * 1000; // Safety net for stale cards whose rebuild job was never queued
+
+// Images embedded in .vcf files (base64 PHOTO/LOGO), since most contact apps ignore image URLs.
+// Each image is re-encoded smaller until it fits the budget, and left out if it never does.
+const VCARD_IMAGE_MAX_BYTES = parseInt(process.env.VCARD_IMAGE_MAX_BYTES, 10) || 48 * 1024; // Per image, before base64 (+33%)
+const VCARD_IMAGE_SIZE = 256; // Longest side, in pixels
+const VCARD_EMBED_LOGO = process.env.VCARD_EMBED_LOGO === "true"; // Also embed the client's company logo (logoUrl)
+
+// Contact exports (GET /api/clients/:id/contact?format=, GET /:slug/contact.vcf)
+const CONTACT_FORMATS = {
+  vcard3: { contentType: "text/vcard; charset=utf-8", extension: "vcf" },
+  vcard4: { contentType: "text/vcard; charset=utf-8", extension: "vcf" },
+  jcard: { contentType: "application/vcard+json; charset=utf-8", extension: "json" },
+  xcard: { contentType: "application/vcard+xml; charset=utf-8", extension: "xml" },
+  mecard: { contentType: "text/plain; charset=utf-8", extension: "txt" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+};
+const CONTACT_DEFAULT_FORMAT = "vcard3"; // Imported by every contact app; 4.0 support is still patchy
+// vCard TYPE values per slot; phone1 and email1 are also marked preferred
+const CONTACT_PHONE_TYPES = { phone1: ["cell", "voice"], phone2: ["work", "voice"], phone3: ["voice"] };
+const CONTACT_EMAIL_TYPES = { email1: ["home"], email2: ["work"], email3: [] };
+
+// Offline "save contact" QR: a second QR holding the contact itself, for venues without signal
+const OFFLINE_QR_FORMATS = ["mecard", "vcard"];
+const QR_ERROR_CORRECTION_LEVELS = ["L", "M", "Q", "H"];
+const OFFLINE_QR_DEFAULTS = { format: "mecard", errorCorrectionLevel: "M", maxVersion: 10 }; // Version 10 (57x57 modules) still scans at 30 mm
+
+// Short codes: permanent /c/:code links encoded in QR codes, so printed cards survive slug changes
+const SHORT_CODE_LENGTH = 6;
+const SHORT_CODE_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz"; // No 0/O/1/l/I lookalikes
+
+// Social preview images (og:image) rendered with Puppeteer
+const PREVIEW_WIDTH = 1200;
+const PREVIEW_HEIGHT = 630;
+const PREVIEW_CACHE_SIZE = 100;
+const PREVIEW_CONCURRENCY = 2;
+
+// Background Jobs: MongoDB-backed queue for emails, vCard uploads and PDF rendering
+const JOB_TYPES = ["send_email", "publish_vcard", "rebuild_vcard", "render_pdf", "purge_client", "erase_client"];
+const JOB_STATUSES = ["queued", "running", "completed", "failed", "dead"]; // failed = waiting to retry, dead = retries exhausted
+const JOB_POLL_MS = 2000;
+const JOB_MAX_ATTEMPTS = 5;
+const JOB_BACKOFF_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m... between attempts (with jitter)
+const JOB_BACKOFF_MAX_MS = 60 * 60 * 1000;
+const JOB_LOCK_TIMEOUT_MS = 10 * 60 * 1000; // Running jobs older than this belonged to a crashed worker and are re-claimed
+const JOB_RETENTION_DAYS = 7; // Completed jobs are dropped by a TTL index, their rendered files by the output sweep
+const JOB_OUTPUT_BUCKET = "job_outputs"; // GridFS bucket for rendered files (PDF jobs)
+const JOB_OUTPUT_SWEEP_MS = 60 * 60 * 1000;
+const JOB_PAGE_LIMIT = 100;
+
+// Transactional Email: every send is recorded in the outbox with each SMTP attempt
+const EMAIL_OUTBOX_STATUSES = ["queued", "retrying", "sent", "failed", "skipped"]; // skipped = SMTP not configured
+const EMAIL_FROM_NAME = process.env.EMAIL_FROM_NAME || "SmartCardLink";
+
+// Client Lifecycle: the status state machine. Each status lists the statuses it may move to, with the dashboard action label.
+// Only Active cards are served publicly; Deleted clients are purged after CLIENT_PURGE_AFTER_DAYS.
+const CLIENT_STATUSES = ["Pending", "Active", "Suspended", "Deleted"];
+const CLIENT_STATUS_TRANSITIONS = {
+  Pending: { Active: "Activate", Suspended: "Suspend", Deleted: "Delete" },
+  Active: { Suspended: "Suspend", Pending: "Return to Review", Deleted: "Delete" },
+  Suspended: { Active: "Reactivate", Pending: "Return to Review", Deleted: "Delete" },
+  Deleted: { Pending: "Restore" },
+};
+const OWNER_ONLY_STATUSES = ["Deleted"]; // Moving a client here needs the owner role
+const CLIENT_PURGE_AFTER_DAYS = Number(process.env.CLIENT_PURGE_AFTER_DAYS) || 30; // Retention window; restore is possible until the purge runs
+const CLIENT_PURGE_SWEEP_MS = 60 * 60 * 1000;
+// Personal data removed by a purge; what remains is an anonymised tombstone (id, short code, status, timestamps)
+const CLIENT_PERSONAL_FIELDS = [
+  "title", "phone1", "phone2", "phone3", "email1", "email2", "email3", "company", "website", "businessWebsite",
+  "portfolioWebsite", "locationMap", "address", "bio", "workingHours", "socialLinks", "photoUrl", "photoVariants", "logoUrl", "vcardUrl", "qrCodeUrl",
+  "offlineQr", "offlineQrCodeUrl",
+  "loginTokenHash", "loginTokenExpiresAt",
+];
+
+// Status change emails to email1, opted in per "From->To" transition (admin settings override the defaults)
+const STATUS_NOTIFICATIONS_SETTING = "statusNotifications";
+const STATUS_NOTIFICATIONS_ON_BY_DEFAULT = ["Active->Suspended", "Suspended->Active"];
+
+// Data Subject Requests: ZIP export of everything held about a client, and verified erasure with a signed record.
+// Erasure is confirmed by the client from an emailed link, or by an owner who verified their identity another way.
+const ERASURE_STATUSES = ["awaiting_verification", "verified", "completed", "cancelled"];
+const ERASURE_VERIFICATION_METHODS = ["email", "manual"];
+const ERASURE_LINK_TTL_HOURS = 72;
+const ERASURE_SIGNING_SECRET = process.env.ERASURE_SIGNING_SECRET || JWT_SECRET; // HMAC key for erasure records
+
+
+// Card Analytics
+const ANALYTICS_SALT = process.env.ANALYTICS_SALT || JWT_SECRET; // Salt for hashed visitor IPs
+const ANALYTICS_TIMEZONE = process.env.ANALYTICS_TIMEZONE || "Africa/Nairobi"; // Day boundaries for daily counts
+const CARD_EVENT_TYPES = ["view", "vcard_download", "tap"];
+const CARD_EVENT_ACTIONS = [
+  "call", "sms", "whatsapp", "email", "print", "save", "more_info",
+  "business_website", "portfolio_website", "location_map", "address", "book_appointment",
+  "facebook", "instagram", "twitter", "linkedin", "tiktok", "youtube",
+];
+
 
 // ------------------------
 // Database Schema and Model (Comprehensive)
 // ------------------------
+const historyChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true }, // Nested values use dotted paths, e.g. "socialLinks.facebook"
+  old: { type: mongoose.Schema.Types.Mixed },
+  new: { type: mongoose.Schema.Types.Mixed },
+}, { _id: false });
+
 const historySchema = new mongoose.Schema({
-  action: { type: String, required: true },
-  notes: { type: String },
-  actor: { type: String, default: "system" },
-  timestamp: { type: Date, default: Date.now },
+  action: { type: String, required: true },
+  notes: { type: String },
+  actor: { type: String, default: "system" },
+  changes: [historyChangeSchema],
+  ip: { type: String, default: "" },
+  userAgent: { type: String, default: "" },
+  timestamp: { type: Date, default: Date.now },
 });
 
 // Nested Schemas for form data
@@ -79,6 +272,21 @@ const workingHoursSchema = new mongoose.Schema({
 }, { _id: false });
 
 
+// Processed sizes of the client's photo (PHOTO_VARIANTS); card is the same file as photoUrl
+const photoVariantsSchema = new mongoose.Schema({
+  card: { type: String },
+  thumb: { type: String },
+  vcard: { type: String },
+}, { _id: false });
+
+// Offline QR settings, kept so automatic vCard rebuilds regenerate it the same way
+const offlineQrSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  format: { type: String, enum: OFFLINE_QR_FORMATS, default: OFFLINE_QR_DEFAULTS.format },
+  errorCorrectionLevel: { type: String, enum: QR_ERROR_CORRECTION_LEVELS, default: OFFLINE_QR_DEFAULTS.errorCorrectionLevel },
+  maxVersion: { type: Number, min: 1, max: 40, default: OFFLINE_QR_DEFAULTS.maxVersion },
+}, { _id: false });
+
 const ClientSchema = new mongoose.Schema({
   // Personal Details
   fullName: { type: String, required: true, trim: true },
@@ -105,18 +313,226 @@ const ClientSchema = new mongoose.Schema({
   socialLinks: socialLinksSchema,
   
   // Status and Media
-  photoUrl: { type: String, default: "" }, // Cloudinary URL
-  slug: { type: String, required: true, unique: true, index: true },
-  status: { type: String, enum: ["Pending", "Active", "Suspended", "Deleted"], default: "Pending" },
+  photoUrl: { type: String, default: "" }, // Storage URL (see File Storage)
+  photoVariants: { type: photoVariantsSchema, default: undefined }, // Absent for photos that predate processing
+  logoUrl: { type: String, default: "" }, // Company logo, embedded in the vCard when VCARD_EMBED_LOGO is on
+  slug: { type: String, required: true, unique: true, index: true },
+  shortCode: { type: String, unique: true, sparse: true, immutable: true }, // Permanent QR target: /c/:shortCode
+  status: { type: String, enum: CLIENT_STATUSES, default: "Pending" },
+  deletedAt: { type: Date, default: null },
+  purgeAfter: { type: Date, default: null, index: true }, // Set on deletion; personal data is purged once it passes
+  purgedAt: { type: Date, default: null }, // Personal data removed; the record is a tombstone and cannot be restored
+  pendingPurgeFiles: { type: [{ key: String, kind: String, _id: false }], default: undefined, select: false }, // Stored files a claimed purge has yet to delete
+
+  vcardUrl: { type: String, default: "" }, // Storage URL of the .vcf file
+  qrCodeUrl: { type: String, default: "" }, // Data URL for QR code (or Cloudinary if uploaded)
+  offlineQr: { type: offlineQrSchema, default: undefined },
+  offlineQrCodeUrl: { type: String, default: "" }, // Data URL; empty when the offline QR is off or the contact cannot fit
+  vcardStale: { type: Boolean, default: false }, // Set when the .vcf/QR no longer match the record
+  vcardGeneratedAt: { type: Date },
+  cardDesign: { type: String, enum: CARD_DESIGNS, default: "classic" }, // Print card template
 
-  vcardUrl: { type: String, default: "" }, // Cloudinary URL to .vcf file
-  qrCodeUrl: { type: String, default: "" }, // Data URL for QR code (or Cloudinary if uploaded)
+  // Client self-service: one-time login link (hashed)
+  loginTokenHash: { type: String, select: false },
+  loginTokenExpiresAt: { type: Date, select: false },
 
   history: [historySchema],
 }, { timestamps: true });
 
+// Remember the slug as loaded so a rename can leave a redirecting alias behind
+ClientSchema.post("init", function rememberLoadedSlug() {
+  this.$locals.loadedSlug = this.slug;
+});
+
+ClientSchema.pre("save", async function recordSlugAlias() {
+  if (this.isNew) {
+    if (!this.shortCode) this.shortCode = await generateShortCode();
+    return;
+  }
+  const previous = this.$locals.loadedSlug;
+  if (!this.isModified("slug") || !previous || previous === this.slug) return;
+
+  // The old slug now redirects here; a slug the client takes back stops being an alias
+  await SlugAlias.updateOne({ slug: previous }, { $set: { client: this._id } }, { upsert: true });
+  await SlugAlias.deleteOne({ slug: this.slug });
+  this.$locals.loadedSlug = this.slug;
+});
+
+// Published vCards go stale when a source field changes; saves that rebuilt the vCard themselves are exempt
+ClientSchema.pre("save", function markVcardStale(next) {
+  if (this.isNew || !this.vcardUrl || this.isModified("vcardGeneratedAt")) return next();
+  if (VCARD_SOURCE_FIELDS.some((field) => this.isModified(field))) this.vcardStale = true;
+  return next();
+});
+
+// Variants belong to the photo they were cut from; a photoUrl set without them (pasted URL, older upload) drops stale ones,
+// and so does any set whose files are not all from that one stored upload
+ClientSchema.pre("save", function dropStalePhotoVariants(next) {
+  if (this.photoVariants && (this.photoVariants.card !== this.photoUrl || !samePhotoUpload(this.photoVariants))) this.photoVariants = undefined;
+  return next();
+});
+
+// A replaced photo's files are deleted once the new one is saved (photos are never shared between clients)
+ClientSchema.post("init", function rememberLoadedPhoto() {
+  this.$locals.loadedPhoto = { photoUrl: this.photoUrl, photoVariants: this.photoVariants ? this.photoVariants.toObject() : undefined };
+});
+
+ClientSchema.post("save", function deleteReplacedPhoto(doc) {
+  const loaded = doc.$locals.loadedPhoto;
+  doc.$locals.loadedPhoto = { photoUrl: doc.photoUrl, photoVariants: doc.photoVariants ? doc.photoVariants.toObject() : undefined };
+  if (loaded && loaded.photoUrl && loaded.photoUrl !== doc.photoUrl) deletePhotoUpload(loaded); // Logs its own failures
+});
+
+ClientSchema.post("save", function queueVcardRebuild(doc) {
+  if (doc.vcardStale) scheduleVcardRebuild(doc._id).catch((err) => logger.error({ err, clientId: String(doc._id) }, "❌ Failed to queue vCard rebuild"));
+});
+
 const Client = mongoose.model("Client", ClientSchema);
 
+// Admin users (dashboard/admin form logins)
+const AdminUserSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ADMIN_ROLES, default: "viewer" },
+  active: { type: Boolean, default: true },
+  lastLoginAt: { type: Date },
+}, { timestamps: true });
+
+// Never leak the password hash through respSuccess
+AdminUserSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const AdminUser = mongoose.model("AdminUser", AdminUserSchema);
+
+// Former slugs of a client; GET /:slug 301-redirects them to the current slug
+const SlugAliasSchema = new mongoose.Schema({
+  slug: { type: String, required: true, unique: true },
+  client: { type: mongoose.Schema.Types.ObjectId, ref: "Client", required: true, index: true },
+}, { timestamps: true });
+
+const SlugAlias = mongoose.model("SlugAlias", SlugAliasSchema);
+
+// Client-proposed card edits awaiting admin review (one pending request per client)
+const ChangeRequestSchema = new mongoose.Schema({
+  client: { type: mongoose.Schema.Types.ObjectId, ref: "Client", required: true, index: true },
+  changes: { type: mongoose.Schema.Types.Mixed, required: true }, // Output of pickClientEdits
+  status: { type: String, enum: CHANGE_REQUEST_STATUSES, default: "pending", index: true },
+  submittedBy: { type: String, default: "client" },
+  reviewedBy: { type: String },
+  reviewedAt: { type: Date },
+  reviewNotes: { type: String },
+  appliedDiff: { type: mongoose.Schema.Types.Mixed }, // Field-level diff as it stood when approved
+}, { timestamps: true });
+
+const ChangeRequest = mongoose.model("ChangeRequest", ChangeRequestSchema);
+
+// Public card analytics: one document per view, vCard download or button tap
+const CardEventSchema = new mongoose.Schema({
+  client: { type: mongoose.Schema.Types.ObjectId, ref: "Client", required: true },
+  slug: { type: String, required: true },
+  type: { type: String, enum: CARD_EVENT_TYPES, required: true },
+  action: { type: String, enum: CARD_EVENT_ACTIONS, default: null }, // Set for taps only
+  referrer: { type: String, default: "" },
+  referrerHost: { type: String, default: "" },
+  deviceType: { type: String, enum: ["mobile", "tablet", "desktop", "bot", "unknown"], default: "unknown" },
+  ipHash: { type: String, default: "" }, // Salted SHA-256, never the raw IP
+  createdAt: { type: Date, default: Date.now },
+}, { versionKey: false });
+
+CardEventSchema.index({ client: 1, createdAt: -1 });
+
+const CardEvent = mongoose.model("CardEvent", CardEventSchema);
+
+// Background job queue; failed/dead jobs keep their error trail so admins can inspect and retry them
+const JobSchema = new mongoose.Schema({
+  type: { type: String, enum: JOB_TYPES, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: { type: String, enum: JOB_STATUSES, default: "queued" },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: JOB_MAX_ATTEMPTS },
+  runAt: { type: Date, default: Date.now }, // Not picked up before this (backoff)
+  lockedAt: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  failures: [{ attempt: Number, message: String, at: Date, _id: false }],
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  outputFile: { type: mongoose.Schema.Types.ObjectId, default: null }, // GridFS file (PDF jobs), served by GET /api/admin/jobs/:id/output
+  createdBy: { type: String, default: "system" },
+  completedAt: { type: Date },
+}, { timestamps: true });
+
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ type: 1, "payload.clientId": 1, status: 1 });
+JobSchema.index({ completedAt: 1 }, { expireAfterSeconds: JOB_RETENTION_DAYS * 24 * 60 * 60 });
+
+const Job = mongoose.model("Job", JobSchema);
+
+// Outbox: one document per email, with the SMTP result of every delivery attempt
+const emailAttemptSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  success: { type: Boolean, required: true },
+  messageId: { type: String },
+  response: { type: String }, // SMTP server reply
+  accepted: [String],
+  rejected: [String],
+  error: { type: String },
+}, { _id: false });
+
+const EmailOutboxSchema = new mongoose.Schema({
+  to: { type: String, required: true },
+  subject: { type: String, required: true },
+  template: { type: String, default: null }, // EMAIL_TEMPLATES key; null for ad-hoc emails
+  client: { type: mongoose.Schema.Types.ObjectId, ref: "Client", default: null, index: true },
+  text: { type: String, default: "" },
+  html: { type: String, default: "" },
+  sensitive: { type: Boolean, default: false }, // Bodies are blanked once delivered (e.g. login links)
+  status: { type: String, enum: EMAIL_OUTBOX_STATUSES, default: "queued" },
+  attempts: [emailAttemptSchema],
+  job: { type: mongoose.Schema.Types.ObjectId, ref: "Job", default: null },
+  sentAt: { type: Date },
+}, { timestamps: true });
+
+EmailOutboxSchema.index({ status: 1, createdAt: -1 });
+
+const EmailOutbox = mongoose.model("EmailOutbox", EmailOutboxSchema);
+
+// Admin-configurable settings, one document per key; defaults live in code and stored values override them
+const SettingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: { type: mongoose.Schema.Types.Mixed, default: {} },
+  updatedBy: { type: String },
+}, { timestamps: true });
+
+const Setting = mongoose.model("Setting", SettingSchema);
+
+// Right-to-erasure requests. Completed requests are the signed confirmation record: they keep the client id,
+// who asked and verified, what was removed and the post-erasure checks, never the erased data itself.
+const ErasureRequestSchema = new mongoose.Schema({
+  client: { type: mongoose.Schema.Types.ObjectId, ref: "Client", required: true, index: true },
+  status: { type: String, enum: ERASURE_STATUSES, default: "awaiting_verification" },
+  reason: { type: String, default: "" },
+  requestedBy: { type: String, required: true },
+  verification: {
+    method: { type: String, enum: ERASURE_VERIFICATION_METHODS, required: true },
+    tokenHash: { type: String, select: false }, // Emailed link (hashed), cleared once used
+    expiresAt: { type: Date },
+    verifiedAt: { type: Date },
+    verifiedBy: { type: String },
+    notes: { type: String, default: "" }, // How an owner verified the client's identity (manual method)
+  },
+  job: { type: mongoose.Schema.Types.ObjectId, ref: "Job", default: null },
+  removed: { type: mongoose.Schema.Types.Mixed, default: {} }, // Counts per store, accumulated across job attempts
+  remaining: { type: mongoose.Schema.Types.Mixed, default: null }, // Post-erasure checks; all zero when completed
+  completedAt: { type: Date },
+  signature: { type: String, default: null }, // HMAC-SHA256 over erasureRecordPayload()
+}, { timestamps: true });
+
+const ErasureRequest = mongoose.model("ErasureRequest", ErasureRequestSchema);
+
 
 // ------------------------
 // App Initialization & DB Connection
@@ -124,30 +540,39 @@ const Client = mongoose.model("Client", ClientSchema);
 const app = express();
 const staticPath = path.join(__dirname, "public");
 
+// Public card page template (popup1/popup2 views), rendered per slug by GET /:slug
+const CARD_PAGE_TEMPLATE = fs.readFileSync(path.join(__dirname, "index.html"), "utf8").replace(/^\uFEFF/, "");
+
 // MongoDB Connection: Removed deprecated options (useNewUrlParser, useUnifiedTopology)
 mongoose
   .connect(MONGO_URI)
-  .then(() => logger.info("✅ MongoDB connected successfully"))
+  .then(() => {
+    logger.info("✅ MongoDB connected successfully");
+    // Own catch: a bootstrap failure must not take the API down like a connection failure does
+    ensureBootstrapAdmin().catch((err) => logger.error({ err }, "❌ Failed to create bootstrap admin account"));
+    backfillShortCodes().catch((err) => logger.error({ err }, "❌ Short code backfill failed"));
+    setInterval(() => sweepStaleVcards().catch((err) => logger.error({ err }, "❌ Stale vCard sweep failed")), VCARD_REBUILD_SWEEP_MS).unref();
+    setInterval(kickJobWorker, JOB_POLL_MS).unref();
+    setInterval(() => sweepExpiredDeletions().catch((err) => logger.error({ err }, "❌ Retention purge sweep failed")), CLIENT_PURGE_SWEEP_MS).unref();
+    setInterval(() => sweepExpiredJobOutputs().catch((err) => logger.error({ err }, "❌ Job output sweep failed")), JOB_OUTPUT_SWEEP_MS).unref();
+    setInterval(() => sweepTempUploads().catch((err) => logger.error({ err }, "❌ Temporary upload sweep failed")), PHOTO_TEMP_SWEEP_MS).unref();
+    kickJobWorker();
+  })
   .catch((err) => {
     logger.error({ err }, "❌ MongoDB connection error. Check MONGODB_URI.");
     process.exit(1);
   });
 
 
-// Cloudinary Configuration
-if (CLOUDINARY_CLOUD_NAME && CLOUDINARY_API_KEY && CLOUDINARY_API_SECRET) {
-  cloudinary.config({
-    cloud_name: CLOUDINARY_CLOUD_NAME,
-    api_key: CLOUDINARY_API_KEY,
-    api_secret: CLOUDINARY_API_SECRET,
-    secure: true,
-  });
-} else {
-    logger.warn("Cloudinary credentials missing. Uploads will fail.");
-}
+// Configure multer for file uploads (memory storage; files are handed to the storage driver)
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: PHOTO_MAX_UPLOAD_BYTES, files: 1 } });
 
-// Configure multer for file uploads (using memory storage for Cloudinary)
-const upload = multer({ storage: multer.memoryStorage() });
+// Single "photo" file field; multer's limit errors become JSON 4xx responses instead of Express's error page
+const acceptPhoto = (req, res, next) => upload.single("photo")(req, res, (err) => {
+  if (!err) return next();
+  if (err.code === "LIMIT_FILE_SIZE") return respError(res, `Photo must be ${PHOTO_MAX_UPLOAD_BYTES / 1024 / 1024} MB or smaller.`, 413);
+  return respError(res, `Invalid upload: ${err.message}`, 400);
+});
 
 
 // Email Transporter
@@ -157,10 +582,733 @@ const transporter = nodemailer.createTransport({
   secure: SMTP_PORT === 465, 
   auth: {
     user: SMTP_USER,
-    pass: SMTP_PASS,
-  },
+    pass: SMTP_PASS,
+  },
+});
+
+
+// ------------------------
+// File Storage
+// ------------------------
+// Photos and vCards go through one of the drivers below (STORAGE_DRIVER). Every driver exposes:
+//   upload({ folder, name, body, contentType, clientId, temp, tags }) -> public URL (name defaults to a random file name)
+//   fileFromUrl(url) -> { key, kind } for URLs the driver serves, otherwise null
+//   readFile(file) -> Buffer, or null if it does not exist
+//   adoptFile(file, clientId) -> new public URL of a temp upload moved under the client
+//   deleteTempFiles(before) -> how many temp uploads older than the date were deleted
+//   legacyVcardFiles(slug) -> vCards published before uploads were grouped per client
+//   deleteFiles(files), deleteClientFiles(clientId) -> { [key]: "deleted" | "not_found" }
+//   countFiles(files), countClientFiles(clientId) -> how many still exist
+// Uploads for a known client are grouped under it (a client_<id> tag on Cloudinary, a client_<id>/ directory elsewhere).
+// Uploads with no client yet (temp: form photos) go to <folder>/temp/ until a client adopts them or the sweep deletes them.
+
+const IMAGE_EXTENSIONS = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "image/gif": "gif" };
+
+// Object key for disk and S3 uploads; unknown content types get .bin so they are never served as HTML or script
+const storageKey = ({ folder, name, contentType, clientId, temp = false }) => [
+  folder,
+  clientId ? `client_${clientId}` : temp ? "temp" : null,
+  name || `${crypto.randomBytes(12).toString("hex")}.${IMAGE_EXTENSIONS[contentType] || "bin"}`,
+].filter(Boolean).join("/");
+
+// Temp uploads sit directly under <folder>/temp/; adopting one swaps that for the client's group (or drops it on Cloudinary)
+const isTempStorageKey = (key) => Object.values(STORAGE_FOLDERS).some((folder) => String(key).startsWith(`${folder}/temp/`));
+const adoptedStorageKey = (key, group) => key.replace(/^([^/]+)\/temp\//, group ? `$1/${group}/` : "$1/");
+
+const keyFromPublicUrl = (url, baseUrl) => (url && url.startsWith(`${baseUrl}/`) ? decodeURIComponent(url.slice(baseUrl.length + 1).split(/[?#]/)[0]) : null);
+
+const createLocalStorage = () => {
+  const baseUrl = `${APP_BASE_URL.replace(/\/$/, "")}${STORAGE_LOCAL_ROUTE}`;
+  // Keys come back from stored URLs, so anything resolving outside the storage directory is refused
+  const filePath = (key) => {
+    const resolved = path.resolve(STORAGE_LOCAL_DIR, key);
+    if (!resolved.startsWith(STORAGE_LOCAL_DIR + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return resolved;
+  };
+  const exists = (key) => fs.promises.access(filePath(key)).then(() => true, () => false);
+  const listClientKeys = async (clientId) => {
+    const keys = [];
+    for (const folder of Object.values(STORAGE_FOLDERS)) {
+      const dir = `${folder}/client_${clientId}`;
+      const names = await fs.promises.readdir(filePath(dir)).catch((err) => { if (err.code === "ENOENT") return []; throw err; });
+      keys.push(...names.map((name) => `${dir}/${name}`));
+    }
+    return keys;
+  };
+  const readFile = ({ key }) => fs.promises.readFile(filePath(key)).catch((err) => { if (err.code === "ENOENT") return null; throw err; });
+  const deleteFiles = async (files) => {
+    const outcome = {};
+    for (const { key } of files) {
+      outcome[key] = await fs.promises.unlink(filePath(key)).then(() => "deleted", (err) => { if (err.code === "ENOENT") return "not_found"; throw err; });
+    }
+    return outcome;
+  };
+
+  return {
+    name: "local",
+    publicOrigin: new URL(baseUrl).origin,
+    upload: async (file) => {
+      const key = storageKey(file);
+      await fs.promises.mkdir(path.dirname(filePath(key)), { recursive: true });
+      await fs.promises.writeFile(filePath(key), file.body);
+      return `${baseUrl}/${key}`;
+    },
+    fileFromUrl: (url) => {
+      const key = keyFromPublicUrl(url, baseUrl);
+      return key && path.resolve(STORAGE_LOCAL_DIR, key).startsWith(STORAGE_LOCAL_DIR + path.sep) ? { key, kind: "file" } : null;
+    },
+    readFile,
+    adoptFile: async ({ key }, clientId) => {
+      const target = adoptedStorageKey(key, `client_${clientId}`);
+      await fs.promises.mkdir(path.dirname(filePath(target)), { recursive: true });
+      await fs.promises.rename(filePath(key), filePath(target));
+      return `${baseUrl}/${target}`;
+    },
+    deleteTempFiles: async (before) => {
+      let deleted = 0;
+      for (const folder of Object.values(STORAGE_FOLDERS)) {
+        const dir = `${folder}/temp`;
+        const names = await fs.promises.readdir(filePath(dir)).catch((err) => { if (err.code === "ENOENT") return []; throw err; });
+        for (const name of names) {
+          const { mtime } = await fs.promises.stat(filePath(`${dir}/${name}`));
+          if (mtime >= before) continue;
+          await fs.promises.unlink(filePath(`${dir}/${name}`));
+          deleted += 1;
+        }
+      }
+      return deleted;
+    },
+    legacyVcardFiles: () => [],
+    deleteFiles,
+    deleteClientFiles: async (clientId) => deleteFiles((await listClientKeys(clientId)).map((key) => ({ key }))),
+    countFiles: async (files) => (await Promise.all(files.map(({ key }) => exists(key)))).filter(Boolean).length,
+    countClientFiles: async (clientId) => (await listClientKeys(clientId)).length,
+  };
+};
+
+// S3 or any S3-compatible service (MinIO, R2, Spaces...). Objects are served from S3_PUBLIC_URL, so the bucket needs a public-read policy.
+const createS3Storage = () => {
+  if (!S3_BUCKET) throw new Error("S3_BUCKET is required for the s3 storage driver.");
+  const s3 = new S3Client({
+    region: S3_REGION,
+    endpoint: S3_ENDPOINT,
+    forcePathStyle: S3_FORCE_PATH_STYLE,
+    ...(S3_ACCESS_KEY_ID && { credentials: { accessKeyId: S3_ACCESS_KEY_ID, secretAccessKey: S3_SECRET_ACCESS_KEY } }),
+  });
+  const baseUrl = (S3_PUBLIC_URL
+    || (S3_FORCE_PATH_STYLE ? `${(S3_ENDPOINT || `https://s3.${S3_REGION}.amazonaws.com`).replace(/\/$/, "")}/${S3_BUCKET}` : `https://${S3_BUCKET}.s3.${S3_REGION}.amazonaws.com`)
+  ).replace(/\/$/, "");
+
+  const exists = (key) => s3.send(new HeadObjectCommand({ Bucket: S3_BUCKET, Key: key })).then(
+    () => true,
+    (err) => { if (err.name === "NotFound" || err.$metadata?.httpStatusCode === 404) return false; throw err; }
+  );
+  // Objects under <folder>/<group>/ in every storage folder
+  const listGroupObjects = async (group) => {
+    const objects = [];
+    for (const folder of Object.values(STORAGE_FOLDERS)) {
+      let ContinuationToken;
+      do {
+        const page = await s3.send(new ListObjectsV2Command({ Bucket: S3_BUCKET, Prefix: `${folder}/${group}/`, ContinuationToken }));
+        objects.push(...(page.Contents || []));
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    }
+    return objects;
+  };
+  const listClientKeys = async (clientId) => (await listGroupObjects(`client_${clientId}`)).map((object) => object.Key);
+  // S3 reports deletes of missing keys as successful, so existence is checked first to report not_found honestly
+  const deleteFiles = async (files) => {
+    const outcome = {};
+    for (const { key } of files) {
+      if (!await exists(key)) {
+        outcome[key] = "not_found";
+        continue;
+      }
+      await s3.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+      outcome[key] = "deleted";
+    }
+    return outcome;
+  };
+
+  return {
+    name: "s3",
+    publicOrigin: new URL(baseUrl).origin,
+    upload: async (file) => {
+      const key = storageKey(file);
+      await s3.send(new PutObjectCommand({ Bucket: S3_BUCKET, Key: key, Body: file.body, ContentType: file.contentType }));
+      return `${baseUrl}/${key}`;
+    },
+    fileFromUrl: (url) => {
+      const key = keyFromPublicUrl(url, baseUrl);
+      return key ? { key, kind: "file" } : null;
+    },
+    readFile: ({ key }) => s3.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: key })).then(
+      async (object) => Buffer.from(await object.Body.transformToByteArray()),
+      (err) => { if (err.name === "NoSuchKey" || err.$metadata?.httpStatusCode === 404) return null; throw err; }
+    ),
+    adoptFile: async ({ key }, clientId) => {
+      const target = adoptedStorageKey(key, `client_${clientId}`);
+      await s3.send(new CopyObjectCommand({ Bucket: S3_BUCKET, CopySource: encodeURI(`${S3_BUCKET}/${key}`), Key: target }));
+      await s3.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+      return `${baseUrl}/${target}`;
+    },
+    deleteTempFiles: async (before) => {
+      const stale = (await listGroupObjects("temp")).filter((object) => object.LastModified < before);
+      for (const { Key } of stale) await s3.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key }));
+      return stale.length;
+    },
+    legacyVcardFiles: () => [],
+    deleteFiles,
+    deleteClientFiles: async (clientId) => deleteFiles((await listClientKeys(clientId)).map((key) => ({ key }))),
+    countFiles: async (files) => (await Promise.all(files.map(({ key }) => exists(key)))).filter(Boolean).length,
+    countClientFiles: async (clientId) => (await listClientKeys(clientId)).length,
+  };
+};
+
+// Cloudinary public_id and resource type from a delivery URL (raw public_ids keep their extension, image ones do not)
+const cloudinaryAssetFromUrl = (url) => {
+  const match = /res\.cloudinary\.com\/[^/]+\/(image|raw)\/upload\/(?:v\d+\/)?([^?#]+)/.exec(url || "");
+  if (!match) return null;
+  const [, resourceType, assetPath] = match;
+  return { resourceType, publicId: resourceType === "image" ? assetPath.replace(/\.[a-z0-9]+$/i, "") : assetPath };
+};
+
+// Cloudinary files are keyed by public_id; kind is the resource type ("image" or "raw") its API calls need
+const createCloudinaryStorage = () => {
+  if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET) {
+    throw new Error("Cloudinary credentials missing (CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET).");
+  }
+  cloudinary.config({
+    cloud_name: CLOUDINARY_CLOUD_NAME,
+    api_key: CLOUDINARY_API_KEY,
+    api_secret: CLOUDINARY_API_SECRET,
+    secure: true,
+  });
+  const RESOURCE_TYPES = ["image", "raw"];
+  const keysByKind = (files) => files.reduce((groups, { key, kind }) => ({ ...groups, [kind]: [...(groups[kind] || []), key] }), {});
+
+  return {
+    name: "cloudinary",
+    publicOrigin: "https://res.cloudinary.com",
+    upload: async ({ folder, name, body, contentType, clientId, temp = false, tags = [] }) => {
+      const options = {
+        folder: temp ? `${folder}/temp` : folder,
+        resource_type: contentType.startsWith("image/") ? "image" : "raw",
+        tags: clientId ? [...tags, `client_${clientId}`] : tags,
+      };
+      if (name) Object.assign(options, { public_id: name.replace(/\.[a-z0-9]+$/i, ""), format: path.extname(name).slice(1) });
+      const result = await cloudinary.uploader.upload(`data:${contentType};base64,${Buffer.from(body).toString("base64")}`, options);
+      return result.secure_url;
+    },
+    fileFromUrl: (url) => {
+      const asset = cloudinaryAssetFromUrl(url);
+      return asset ? { key: asset.publicId, kind: asset.resourceType } : null;
+    },
+    // Cloudinary has no download API for delivered assets, so this goes through the (original format) delivery URL
+    readFile: ({ key, kind }) => axios.get(cloudinary.url(key, { resource_type: kind, secure: true }), { responseType: "arraybuffer", timeout: 10000 }).then(
+      (response) => Buffer.from(response.data),
+      (err) => { if (err.response?.status === 404) return null; throw err; }
+    ),
+    adoptFile: async ({ key, kind }, clientId) => {
+      const result = await cloudinary.uploader.rename(key, adoptedStorageKey(key), { resource_type: kind });
+      await cloudinary.uploader.add_tag(`client_${clientId}`, [result.public_id], { resource_type: kind });
+      return result.secure_url;
+    },
+    deleteTempFiles: async (before) => {
+      let deleted = 0;
+      for (const kind of RESOURCE_TYPES) {
+        for (const folder of Object.values(STORAGE_FOLDERS)) {
+          const { resources } = await cloudinary.api.resources({ type: "upload", resource_type: kind, prefix: `${folder}/temp/`, max_results: 500 });
+          const stale = resources.filter((resource) => new Date(resource.created_at) < before).map((resource) => resource.public_id);
+          if (stale.length) deleted += Object.values((await cloudinary.api.delete_resources(stale, { resource_type: kind })).deleted).filter((state) => state === "deleted").length;
+        }
+      }
+      return deleted;
+    },
+    // Untagged vCards were uploaded with the slug as public_id (older SDK versions kept the extension)
+    legacyVcardFiles: (slug) => [`${STORAGE_FOLDERS.vcards}/${slug}`, `${STORAGE_FOLDERS.vcards}/${slug}.vcf`].map((key) => ({ key, kind: "raw" })),
+    deleteFiles: async (files) => {
+      const outcome = {};
+      for (const [kind, keys] of Object.entries(keysByKind(files))) {
+        Object.assign(outcome, (await cloudinary.api.delete_resources(keys, { resource_type: kind })).deleted);
+      }
+      return outcome;
+    },
+    deleteClientFiles: async (clientId) => {
+      const outcome = {};
+      for (const kind of RESOURCE_TYPES) {
+        Object.assign(outcome, (await cloudinary.api.delete_resources_by_tag(`client_${clientId}`, { resource_type: kind })).deleted);
+      }
+      return outcome;
+    },
+    countFiles: async (files) => {
+      let count = 0;
+      for (const [kind, keys] of Object.entries(keysByKind(files))) {
+        count += (await cloudinary.api.resources_by_ids(keys, { resource_type: kind })).resources.length;
+      }
+      return count;
+    },
+    countClientFiles: async (clientId) => {
+      let count = 0;
+      for (const kind of RESOURCE_TYPES) {
+        count += (await cloudinary.api.resources_by_tag(`client_${clientId}`, { resource_type: kind })).resources.length;
+      }
+      return count;
+    },
+  };
+};
+
+const STORAGE_DRIVERS = { local: createLocalStorage, s3: createS3Storage, cloudinary: createCloudinaryStorage };
+if (!STORAGE_DRIVERS[STORAGE_DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}". Use one of: ${Object.keys(STORAGE_DRIVERS).join(", ")}.`);
+}
+const storage = STORAGE_DRIVERS[STORAGE_DRIVER]();
+logger.info(`File storage: ${storage.name}${storage.name === "local" ? ` (${STORAGE_LOCAL_DIR})` : ""}`);
+
+
+// ------------------------
+// Client Photos
+// ------------------------
+// The client-supplied MIME type is ignored: the format comes from the file's magic bytes.
+// sharp writes no metadata unless asked to, so EXIF (GPS position, camera serials...) never reaches storage.
+
+const HEIF_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1"];
+
+// Detects the image type from its magic bytes (uploads, pdfkit and data URLs all need the real type)
+const imageMimeType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") return "image/webp";
+  if (buffer.toString("ascii", 4, 8) === "ftyp" && HEIF_BRANDS.includes(buffer.toString("ascii", 8, 12))) return "image/heic";
+  return null;
+};
+
+// Decodes a photo into the PHOTO_VARIANTS JPEGs: upright (EXIF orientation applied) and square.
+// There is no face detection: the crop uses libvips' attention strategy, which keeps the most salient region
+// (it favours skin tones, so a head-and-shoulders photo usually stays centred, but a busy background can win).
+// The upload forms ask for a centred face for that reason. Unusable photos throw a RangeError (a 400 for callers).
+const processPhoto = async (buffer) => {
+  const type = imageMimeType(buffer);
+  if (!type) throw new RangeError("Photo must be a JPEG, PNG, WebP or HEIC image.");
+
+  let input = buffer;
+  if (type === "image/heic") {
+    // The libvips bundled with sharp has no HEVC decoder
+    try {
+      input = Buffer.from(await heicConvert({ buffer, format: "JPEG", quality: 0.95 }));
+    } catch (err) {
+      throw new RangeError("Could not read this HEIC photo.");
+    }
+  }
+
+  let square;
+  try {
+    const image = sharp(input, { limitInputPixels: PHOTO_MAX_INPUT_PIXELS });
+    const { width, height, orientation } = await image.metadata();
+    const shortest = Math.min(width, height); // Unaffected by the 90° turns orientation may call for
+    if (shortest < PHOTO_MIN_SIZE) throw new RangeError(`Photo must be at least ${PHOTO_MIN_SIZE}x${PHOTO_MIN_SIZE} pixels.`);
+    const side = Math.min(shortest, PHOTO_VARIANTS.card.size);
+    square = await image
+      .rotate()
+      .resize(side, side, { fit: "cover", position: sharp.strategy.attention })
+      .flatten({ background: "#ffffff" }) // Transparent PNG/WebP areas would turn black in JPEG
+      .png()
+      .toBuffer();
+  } catch (err) {
+    if (err instanceof RangeError) throw err;
+    throw new RangeError("Could not read this photo. It may be corrupt or too large.");
+  }
+
+  const variants = {};
+  for (const [name, { size, quality }] of Object.entries(PHOTO_VARIANTS)) {
+    variants[name] = await sharp(square).resize(size, size, { withoutEnlargement: true }).jpeg({ quality, mozjpeg: true }).toBuffer();
+  }
+  return { type, variants };
+};
+
+// Processes an uploaded photo and stores its variants side by side (<id>-card.jpg, <id>-thumb.jpg...).
+// Returns { photoUrl, photoVariants }, ready to set on a client.
+const savePhotoUpload = async (file, { clientId, temp = false, tags = [] } = {}) => {
+  const { variants } = await processPhoto(file.buffer);
+  const id = crypto.randomBytes(12).toString("hex");
+  const photoVariants = {};
+  for (const [name, body] of Object.entries(variants)) {
+    photoVariants[name] = await storage.upload({ folder: STORAGE_FOLDERS.photos, name: `${id}-${name}.jpg`, body, contentType: "image/jpeg", clientId, temp, tags });
+  }
+  return { photoUrl: photoVariants.card, photoVariants };
+};
+
+// A photoUrl a form may set: the client's current photo, or a temp upload from /api/upload-photo that no client owns yet
+const isAdoptablePhoto = (url, client = null) => {
+  if (client && url === client.photoUrl) return true;
+  const file = storage.fileFromUrl(url);
+  return Boolean(file) && isTempStorageKey(file.key);
+};
+
+// Moves the client's photo files out of the temp area and under the client, so purges, erasures and the temp sweep
+// treat them as the client's. Call before saving a client whose photoUrl came from /api/upload-photo.
+const adoptClientPhoto = async (client) => {
+  const variants = client.photoVariants ? client.photoVariants.toObject() : {};
+  const adopted = {};
+  for (const url of new Set([client.photoUrl, ...Object.values(variants)])) {
+    const file = storage.fileFromUrl(url);
+    if (file && isTempStorageKey(file.key)) adopted[url] = await storage.adoptFile(file, client._id);
+  }
+  if (!Object.keys(adopted).length) return;
+  if (client.photoVariants) client.photoVariants = Object.fromEntries(Object.entries(variants).map(([name, url]) => [name, adopted[url] || url]));
+  client.photoUrl = adopted[client.photoUrl] || client.photoUrl;
+};
+
+// Deletes form uploads that were never adopted within PHOTO_TEMP_UPLOAD_TTL_HOURS
+const sweepTempUploads = async () => {
+  const deleted = await storage.deleteTempFiles(new Date(Date.now() - PHOTO_TEMP_UPLOAD_TTL_HOURS * 60 * 60 * 1000));
+  if (deleted) logger.info(`Deleted ${deleted} unclaimed temporary upload(s)`);
+};
+
+// Deletes the stored files of one photo ({ photoUrl, photoVariants }) that no client uses any more; foreign URLs are left alone.
+// Cleanup only: failures are logged, never thrown.
+const deletePhotoUpload = async ({ photoUrl, photoVariants } = {}) => {
+  const variants = photoVariants && photoVariants.toObject ? photoVariants.toObject() : photoVariants || {};
+  const files = [...new Set([photoUrl, ...Object.values(variants)])].map((url) => storage.fileFromUrl(url)).filter(Boolean);
+  if (!files.length) return;
+  try {
+    await storage.deleteFiles(files);
+  } catch (err) {
+    logger.warn({ err: err.message, photoUrl }, "Failed to delete unused photo files");
+  }
+};
+
+// Upload id of a stored photo variant (savePhotoUpload names them <id>-<variant>.jpg); null for any other URL
+const photoUploadId = (url, name) => {
+  const file = storage.fileFromUrl(url);
+  const match = file && new RegExp(`^([a-f0-9]{24})-${name}(?:\\.jpg)?$`).exec(path.posix.basename(file.key));
+  return match ? match[1] : null;
+};
+
+// True when every variant is a file in our storage cut from the same upload as the card variant
+const samePhotoUpload = (variants) => {
+  const id = photoUploadId(variants.card, "card");
+  return Boolean(id) && Object.keys(PHOTO_VARIANTS).every((name) => photoUploadId(variants[name], name) === id);
+};
+
+// photoVariants sent back by the forms (object, or JSON in multipart bodies): a complete set from one stored upload, else null
+const parsePhotoVariants = (value) => {
+  let parsed = value;
+  if (typeof value === "string") {
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!parsed || typeof parsed !== "object") return null;
+  const variants = {};
+  Object.keys(PHOTO_VARIANTS).forEach((name) => {
+    if (typeof parsed[name] === "string" && parsed[name]) variants[name] = parsed[name].substring(0, 500);
+  });
+  return samePhotoUpload(variants) ? variants : null;
+};
+
+
+// ------------------------
+// Contact Formats
+// ------------------------
+// Every contact export is rendered from the same Client record. The properties are first built once as jCard
+// (RFC 7095, the JSON form of vCard 4.0): [name, params, valueType, value]. vCard 4.0/3.0 text and xCard are
+// serialisations of that list; MeCard and CSV are flat formats built from the same fields.
+
+// Image bytes behind a URL, read from our own storage only. URLs elsewhere are never fetched (they could point at
+// internal hosts), so they and unreadable files give null and the document goes without the image.
+const readImage = async (url) => {
+  const file = storage.fileFromUrl(url);
+  if (!file) {
+    if (url) logger.warn({ url }, "Image is not held in storage. Proceeding without it.");
+    return null;
+  }
+  try {
+    return await storage.readFile(file);
+  } catch (err) {
+    logger.warn({ err: err.message, url }, "Failed to read image from storage. Proceeding without it.");
+    return null;
+  }
+};
+
+// The photo for full-size uses (PDFs, printed cards, previews): the processed card variant when the client has one
+const cardPhotoUrl = (client) => (client.photoVariants && client.photoVariants.card) || client.photoUrl;
+
+// Re-encodes an image for a vCard at decreasing size/quality until it fits VCARD_IMAGE_MAX_BYTES.
+// Photos become square JPEGs; logos keep their proportions and transparency (PNG). Returns null if it never fits.
+const fitVcardImage = async (buffer, { logo = false } = {}) => {
+  for (const side of [VCARD_IMAGE_SIZE, VCARD_IMAGE_SIZE * 0.75, VCARD_IMAGE_SIZE / 2]) {
+    for (const quality of [80, 65, 50]) {
+      const image = sharp(buffer, { limitInputPixels: PHOTO_MAX_INPUT_PIXELS })
+        .rotate()
+        .resize(side, side, logo ? { fit: "inside", withoutEnlargement: true } : { fit: "cover", position: sharp.strategy.attention, withoutEnlargement: true });
+      const output = logo
+        ? await image.png({ palette: true, quality, compressionLevel: 9 }).toBuffer()
+        : await image.flatten({ background: "#ffffff" }).jpeg({ quality, mozjpeg: true }).toBuffer();
+      if (output.length <= VCARD_IMAGE_MAX_BYTES) return { data: output, contentType: logo ? "image/png" : "image/jpeg" };
+    }
+  }
+  return null;
+};
+
+// Loads and fits one vCard image; any failure only costs the contact its picture
+const loadVcardImage = async (url, options) => {
+  if (!url) return null;
+  try {
+    const buffer = await readImage(url);
+    const image = buffer && await fitVcardImage(buffer, options);
+    if (buffer && !image) logger.warn({ url, maxBytes: VCARD_IMAGE_MAX_BYTES }, "Image does not fit the vCard size budget. Proceeding without it.");
+    return image;
+  } catch (err) {
+    logger.warn({ err: err.message, url }, "Failed to prepare image for vCard. Proceeding without it.");
+    return null;
+  }
+};
+
+// The card's photo (the pre-sized vcard variant when it has one) and, with VCARD_EMBED_LOGO, the company logo
+const loadContactImages = async (client) => {
+  const [photo, logo] = await Promise.all([
+    loadVcardImage((client.photoVariants && client.photoVariants.vcard) || client.photoUrl),
+    VCARD_EMBED_LOGO ? loadVcardImage(client.logoUrl, { logo: true }) : null,
+  ]);
+  return { photo, logo };
+};
+
+// First word is the given name, the rest the family name
+const splitFullName = (fullName = "") => {
+  const [given = "", ...rest] = fullName.trim().split(/\s+/);
+  return { given, family: rest.join(" ") };
+};
+
+const telUri = (phone) => `tel:${phone.replace(/[^\d+]/g, "")}`;
+
+// Stable per-client UID (name-based UUID), so re-importing a card updates the contact instead of duplicating it
+const contactUid = (client) => {
+  const hex = crypto.createHash("sha1").update(`smartcardlink:${client._id}`).digest("hex");
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+};
+
+const cleanLine = (value) => String(value || "").replace(/[\r\n]+/g, " ").trim();
+
+// jCard properties for a client (vCard 4.0 semantics: TYPE values, PREF=1 on phone1/email1, tel: URIs, data: URI images)
+const contactProperties = (client, { photo = null, logo = null } = {}) => {
+  const { given, family } = splitFullName(client.fullName);
+  const props = [
+    ["kind", {}, "text", "individual"],
+    ["fn", {}, "text", client.fullName || ""],
+    ["n", {}, "text", [family, given, "", "", ""]],
+  ];
+  if (client.company) props.push(["org", {}, "text", client.company]);
+  if (client.title) props.push(["title", {}, "text", client.title]);
+
+  Object.entries(CONTACT_PHONE_TYPES).forEach(([field, type], index) => {
+    if (client[field]) props.push(["tel", { type, ...(index === 0 && { pref: "1" }) }, "uri", telUri(client[field])]);
+  });
+  Object.entries(CONTACT_EMAIL_TYPES).forEach(([field, type], index) => {
+    if (client[field]) props.push(["email", { ...(type.length && { type }), ...(index === 0 && { pref: "1" }) }, "text", client[field]]);
+  });
+  if (client.address) props.push(["adr", { type: "work", label: client.address }, "text", ["", "", client.address, "", "", "", ""]]);
+
+  const website = client.businessWebsite || client.website;
+  if (website) props.push(["url", { type: "work" }, "uri", cleanLine(website)]);
+  if (client.portfolioWebsite) props.push(["url", {}, "uri", cleanLine(client.portfolioWebsite)]);
+  if (client.slug) props.push(["source", {}, "uri", `${VCARD_BASE_URL}/${encodeURIComponent(client.slug)}/contact.vcf`]);
+
+  const socialLinks = client.socialLinks && client.socialLinks.toObject ? client.socialLinks.toObject() : client.socialLinks || {};
+  Object.entries(socialLinks).forEach(([platform, url]) => {
+    if (url) props.push(["x-socialprofile", { type: platform }, "uri", cleanLine(url)]);
+  });
+  // The card's WhatsApp button messages phone1
+  if (client.phone1) props.push(["impp", { "x-service-type": "WhatsApp" }, "uri", `https://wa.me/${client.phone1.replace(/\D/g, "")}`]);
+
+  if (client.bio) props.push(["note", {}, "text", client.bio]);
+  if (photo) props.push(["photo", {}, "uri", `data:${photo.contentType};base64,${photo.data.toString("base64")}`]);
+  if (logo) props.push(["logo", {}, "uri", `data:${logo.contentType};base64,${logo.data.toString("base64")}`]);
+  if (client._id) props.push(["uid", {}, "uri", contactUid(client)]);
+  if (client.updatedAt) props.push(["rev", {}, "timestamp", new Date(client.updatedAt).toISOString().replace(/\.\d{3}Z$/, "Z")]);
+  return props;
+};
+
+// RFC 6350 3.4: backslash, comma, semicolon and newlines are escaped in text values; structured values join with ";"
+const escapeVcardText = (value) => String(value).replace(/\\/g, "\\\\").replace(/,/g, "\\,").replace(/;/g, "\\;").replace(/\r\n|\r|\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after CRLF + space, never inside a UTF-8 character
+const foldVcardLine = (line) => {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+// vCard 4.0 parameter values: RFC 6868 caret encoding, quoted when they contain separators
+const vcard4ParamValue = (value) => {
+  const encoded = String(value).replace(/\^/g, "^^").replace(/\r\n|\r|\n/g, "^n").replace(/"/g, "^'");
+  return /[,;:]/.test(encoded) ? `"${encoded}"` : encoded;
+};
+
+// vCard 4.0 values whose type is not the property's default need VALUE= (TEL defaults to text)
+const VCARD4_DEFAULT_VALUE_TYPES = { tel: "text" };
+
+const vcardValue = (type, value) => {
+  if (Array.isArray(value)) return value.map((component) => escapeVcardText(component || "")).join(";");
+  if (type === "timestamp") return value.replace(/[-:]/g, "");
+  return type === "text" ? escapeVcardText(value) : value;
+};
+
+const toVcard4 = (props) => {
+  const lines = props.map(([name, params, type, value]) => {
+    const paramText = Object.entries({
+      ...(VCARD4_DEFAULT_VALUE_TYPES[name] && VCARD4_DEFAULT_VALUE_TYPES[name] !== type && { value: type }),
+      ...params,
+    }).map(([key, paramValue]) => {
+      const values = Array.isArray(paramValue) ? paramValue : [paramValue];
+      return `;${key.toUpperCase()}=${values.length > 1 ? `"${values.join(",")}"` : vcard4ParamValue(values[0])}`;
+    }).join("");
+    return `${name.toUpperCase()}${paramText}:${vcardValue(type, value)}`;
+  });
+  return ["BEGIN:VCARD", "VERSION:4.0", ...lines, "END:VCARD"].map(foldVcardLine).join("\r\n") + "\r\n";
+};
+
+// vCard 3.0 (RFC 2426) differs in how types, preference, addresses and images are written
+const toVcard3 = (props) => {
+  const lines = [];
+  props.forEach(([name, params, type, value]) => {
+    if (name === "kind") return;
+    const types = [].concat(params.type || []).map((t) => t.toUpperCase());
+    if (name === "email") types.unshift("INTERNET");
+    if (params.pref) types.push("PREF");
+    const extra = Object.entries(params).filter(([key]) => !["type", "pref", "label"].includes(key))
+      .map(([key, paramValue]) => `;${key.toUpperCase()}=${String(paramValue).replace(/[";:,]/g, " ")}`).join("");
+    const typeText = types.length ? `;TYPE=${types.join(",")}` : "";
+
+    if (name === "photo" || name === "logo") {
+      const [, mediaType, data] = /^data:image\/(\w+);base64,(.*)$/.exec(value);
+      lines.push(`${name.toUpperCase()};ENCODING=b;TYPE=${mediaType.toUpperCase()}:${data}`);
+    } else if (name === "tel") {
+      lines.push(`TEL${typeText}:${value.replace(/^tel:/, "")}`);
+    } else {
+      lines.push(`${name.toUpperCase()}${typeText}${extra}:${vcardValue(type, value)}`);
+    }
+    if (name === "adr" && params.label) lines.push(`LABEL${typeText}:${escapeVcardText(params.label)}`);
+  });
+  return ["BEGIN:VCARD", "VERSION:3.0", ...lines, "END:VCARD"].map(foldVcardLine).join("\r\n") + "\r\n";
+};
+
+const toJcard = (props) => JSON.stringify(["vcard", [["version", {}, "text", "4.0"], ...props]], null, 2);
+
+// xCard (RFC 6351): structured values use named component elements; timestamps keep the basic vCard format
+const XCARD_COMPONENTS = {
+  n: ["surname", "given", "additional", "prefix", "suffix"],
+  adr: ["pobox", "ext", "street", "locality", "region", "code", "country"],
+};
+
+const toXcard = (props) => {
+  const element = (name, inner) => (inner === "" ? `<${name}/>` : `<${name}>${inner}</${name}>`);
+  const properties = props.map(([name, params, type, value]) => {
+    const paramXml = Object.keys(params).length
+      ? element("parameters", Object.entries(params).map(([key, paramValue]) => element(key,
+        [].concat(paramValue).map((v) => element(key === "pref" ? "integer" : "text", escapeHtml(v))).join(""))).join(""))
+      : "";
+    const valueXml = Array.isArray(value)
+      ? XCARD_COMPONENTS[name].map((component, i) => element(component, escapeHtml(value[i] || ""))).join("")
+      : element(type, escapeHtml(type === "timestamp" ? value.replace(/[-:]/g, "") : value));
+    return `    ${element(name, paramXml + valueXml)}`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<vcards xmlns="urn:ietf:params:xml:ns:vcard-4.0">',
+    "  <vcard>",
+    ...properties,
+    "  </vcard>",
+    "</vcards>",
+    "",
+  ].join("\n");
+};
+
+// MeCard (the compact format QR scanners understand): reserved characters are backslash-escaped
+const escapeMecard = (value) => cleanLine(value).replace(/([\\;,:])/g, "\\$1");
+
+// fields: { given, family, org, phones[], emails[], url, address, note }; empty fields are left out
+const buildMecard = ({ given = "", family = "", org, phones = [], emails = [], url, address, note }) => {
+  const parts = [`N:${[family, given].filter(Boolean).map(escapeMecard).join(",")}`];
+  if (org) parts.push(`ORG:${escapeMecard(org)}`);
+  phones.filter(Boolean).forEach((phone) => parts.push(`TEL:${escapeMecard(phone.replace(/[^\d+]/g, ""))}`));
+  emails.filter(Boolean).forEach((email) => parts.push(`EMAIL:${escapeMecard(email)}`));
+  if (url) parts.push(`URL:${escapeMecard(url)}`);
+  if (address) parts.push(`ADR:${escapeMecard(address)}`);
+  if (note) parts.push(`NOTE:${escapeMecard(note)}`);
+  return `MECARD:${parts.join(";")};;`;
+};
+
+const contactMecard = (client) => buildMecard({
+  ...splitFullName(client.fullName),
+  org: client.company,
+  phones: Object.keys(CONTACT_PHONE_TYPES).map((field) => client[field]),
+  emails: Object.keys(CONTACT_EMAIL_TYPES).map((field) => client[field]),
+  url: client.businessWebsite || client.website || (client.slug && `${VCARD_BASE_URL}/${encodeURIComponent(client.slug)}`),
+  address: client.address,
+  note: client.title,
 });
 
+// Outlook's contact CSV columns, which Google Contacts imports as well. The BOM makes Excel/Outlook read UTF-8.
+const contactCsv = (client) => {
+  const { given, family } = splitFullName(client.fullName);
+  const row = {
+    "First Name": given,
+    "Last Name": family,
+    "Company": client.company || "",
+    "Job Title": client.title || "",
+    "Mobile Phone": client.phone1 || "",
+    "Business Phone": client.phone2 || "",
+    "Other Phone": client.phone3 || "",
+    "E-mail Address": client.email1 || "",
+    "E-mail 2 Address": client.email2 || "",
+    "E-mail 3 Address": client.email3 || "",
+    "Web Page": client.businessWebsite || client.website || "",
+    "Business Street": client.address || "",
+    "Notes": client.bio || "",
+  };
+  return `${new CsvParser({ fields: Object.keys(row), eol: "\r\n", withBOM: true }).parse([row])}\r\n`;
+};
+
+// Renders a client in one of CONTACT_FORMATS. Images are only loaded for the formats that carry them.
+const renderContact = async (client, format) => {
+  if (format === "mecard") return contactMecard(client);
+  if (format === "csv") return contactCsv(client);
+  const props = contactProperties(client, await loadContactImages(client));
+  return { vcard3: toVcard3, vcard4: toVcard4, jcard: toJcard, xcard: toXcard }[format](props);
+};
+
+// Published .vcf (see regenerateVcardAssets): vCard 3.0, which every contact app imports
+const generateVcardContent = (client) => renderContact(client, "vcard3");
+
+// Sends a rendered contact with the format's content type; attachment unless inline is requested
+const sendContact = async (res, client, format, { inline = false } = {}) => {
+  const { contentType, extension } = CONTACT_FORMATS[format];
+  const body = await renderContact(client, format);
+  res.set({
+    "Content-Type": contentType,
+    "Content-Disposition": `${inline ? "inline" : "attachment"}; filename="${client.slug || client._id}.${extension}"`,
+  });
+  return res.status(200).send(body);
+};
+
 
 // ------------------------
 // Helper Functions (Fully Implemented)
@@ -202,7 +1350,7 @@ const generateUniqueSlug = async (name) => {
 
   let slug = baseSlug;
   let counter = 1;
-  while (await Client.findOne({ slug: slug })) {
+  while (await Client.findOne({ slug: slug }) || await SlugAlias.findOne({ slug: slug })) {
     slug = `${baseSlug}-${counter}`;
     counter++;
     if (counter > 100) {
@@ -214,99 +1362,1806 @@ const generateUniqueSlug = async (name) => {
   return slug;
 };
 
-// VCard Content Generation
-const generateVcardContent = (client) => {
-  const vCard = vCardJS();
-  const names = (client.fullName || "").split(" ");
-  vCard.firstName = names.shift() || "";
-  vCard.lastName = names.join(" ") || "";
-  vCard.name = client.fullName;
-  vCard.organization = client.company || "";
-  vCard.title = client.title || "";
-  
-  // Primary Contacts
-  if (client.phone1) vCard.cellPhone = client.phone1;
-  if (client.email1) vCard.email = client.email1;
-  
-  // Secondary Contacts
-  if (client.phone2) vCard.workPhone = client.phone2;
-  if (client.email2) vCard.workEmail = client.email2;
-  if (client.phone3) vCard.otherPhone = client.phone3;
-  if (client.email3) vCard.otherEmail = client.email3;
-  
-  // Addresses and URLs
-  if (client.address) vCard.homeAddress.label = client.address;
-  if (client.website || client.businessWebsite) vCard.url = client.website || client.businessWebsite;
-  if (client.portfolioWebsite) vCard.note = `Portfolio: ${client.portfolioWebsite}`;
-
-  // Social Links (using an X-SOCIAL property for broader compatibility)
-  if (client.socialLinks) {
-    const socialText = Object.entries(client.socialLinks)
-        .filter(([_, url]) => url)
-        .map(([platform, url]) => `${platform}: ${url}`)
-        .join('\n');
-    if (socialText) vCard.socialmedia = socialText;
-  }
-  
-  if (client.photoUrl) {
-      try {
-          vCard.photo.attachFromUrl(client.photoUrl, 'JPEG'); 
-      } catch(e) {
-          logger.warn({ error: e, photoUrl: client.photoUrl }, "Failed to attach photo to vCard from URL. Proceeding without image.");
-      }
-  }
-  
-  return vCard.getFormattedString();
+// Short Code Generation (unique, random, never reused)
+const generateShortCode = async () => {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const bytes = crypto.randomBytes(SHORT_CODE_LENGTH);
+    const code = Array.from(bytes, (b) => SHORT_CODE_ALPHABET[b % SHORT_CODE_ALPHABET.length]).join("");
+    if (!await Client.exists({ shortCode: code })) return code;
+  }
+  throw new Error("Could not allocate a unique short code.");
 };
 
-// Cloudinary VCF Upload
-const uploadVcfToCloudinary = async (slug, vcfContent) => {
-  if (!CLOUDINARY_CLOUD_NAME) throw new Error("Cloudinary not configured.");
-  const base64Vcf = Buffer.from(vcfContent).toString('base64');
-  
-  const result = await cloudinary.uploader.upload(
-    `data:text/vcard;base64,${base64Vcf}`,
-    {
-      folder: "smartcardlink_vcards",
-      resource_type: "raw", 
-      public_id: slug, 
-      format: "vcf",
-      tags: ["client_vcard"],
-    }
-  );
-  return result.secure_url;
+// URL a card's QR codes encode: the permanent short link when the client has one
+const cardQrTarget = (client) => (client.shortCode ? `${VCARD_BASE_URL}/c/${client.shortCode}` : `${VCARD_BASE_URL}/${client.slug}`);
+
+// Offline QR payload: name, primary phone, email, company and the card URL as a MeCard or a minimal vCard 3.0
+const offlineQrPayload = (format, { name, phone, email, company, url }) => {
+  if (format === "vcard") {
+    const { given, family } = splitFullName(name);
+    return [
+      "BEGIN:VCARD",
+      "VERSION:3.0",
+      `N:${escapeVcardText(family)};${escapeVcardText(given)};;;`,
+      `FN:${escapeVcardText(name)}`,
+      company && `ORG:${escapeVcardText(company)}`,
+      phone && `TEL;TYPE=CELL:${phone.replace(/[^\d+]/g, "")}`,
+      email && `EMAIL:${escapeVcardText(email)}`,
+      url && `URL:${url}`,
+      "END:VCARD",
+    ].filter(Boolean).map(foldVcardLine).join("\r\n");
+  }
+  return buildMecard({ ...splitFullName(name), org: company, phones: [phone], emails: [email], url });
 };
 
-// Email Function
-const sendEmail = async (to, subject, text, html) => {
-  if (!SMTP_USER || !SMTP_PASS) {
-    logger.warn("SMTP credentials missing. Skipping email send.");
-    return;
-  }
-  
-  const mailOptions = {
-    from: `"SmartCardLink Admin" <${SMTP_USER}>`,
-    to: to,
-    subject: subject,
-    text: text,
-    html: html || `<p>${text}</p>`,
-  };
-  
-  try {
-    const info = await transporter.sendMail(mailOptions);
-    logger.info(`Email sent to ${to}: ${info.messageId}`);
-  } catch (err) {
-    logger.error({ err }, `❌ Failed to send email to ${to}`);
-  }
+// Smallest QR version that holds the payload at this error correction level, or null above maxVersion
+const qrVersionFor = (payload, errorCorrectionLevel, maxVersion) => {
+  try {
+    const { version } = qrcode.create(payload, { errorCorrectionLevel });
+    return version <= maxVersion ? version : null;
+  } catch (err) {
+    return null; // Too long for any QR version
+  }
+};
+
+// Applied in order until the payload fits. The phone (or the email, without a phone) and the name always stay.
+const OFFLINE_QR_TRIM_STEPS = [["company", "shortened"], ["url", "dropped"], ["email", "dropped"], ["name", "shortened"]];
+
+// Fits the client's contact into the offline QR limits. Returns { payload, version, trimmed: [{ field, action }] },
+// or null when even the name and phone do not fit.
+const buildOfflineQr = (client, { format, errorCorrectionLevel, maxVersion } = client.offlineQr || OFFLINE_QR_DEFAULTS) => {
+  const fitsWith = (candidate) => {
+    const payload = offlineQrPayload(format, candidate);
+    const version = qrVersionFor(payload, errorCorrectionLevel, maxVersion);
+    return version ? { payload, version } : null;
+  };
+  let fields = { name: cleanLine(client.fullName), phone: cleanLine(client.phone1), email: cleanLine(client.email1), company: cleanLine(client.company), url: cardQrTarget(client) };
+  const trimmed = [];
+  let fit = fitsWith(fields);
+
+  for (const [field, action] of OFFLINE_QR_TRIM_STEPS) {
+    if (fit) break;
+    if (!fields[field] || (field === "email" && !fields.phone)) continue;
+    const original = fields[field];
+    let kept = "";
+    if (action === "shortened") {
+      // Longest prefix that still fits
+      let low = 1;
+      let high = original.length - 1;
+      while (low <= high) {
+        const mid = Math.floor((low + high) / 2);
+        const prefix = original.slice(0, mid).trim();
+        if (fitsWith({ ...fields, [field]: prefix })) {
+          kept = prefix;
+          low = mid + 1;
+        } else {
+          high = mid - 1;
+        }
+      }
+      if (field === "name" && !kept) return null;
+    }
+    fields = { ...fields, [field]: kept };
+    trimmed.push({ field, action: kept ? action : "dropped" });
+    fit = fitsWith(fields);
+  }
+  return fit ? { ...fit, format, errorCorrectionLevel, trimmed } : null;
+};
+
+// Offline QR as a PNG data URL when the client has it enabled (null otherwise, or when nothing fits)
+const renderOfflineQr = async (client) => {
+  if (!client.offlineQr || !client.offlineQr.enabled) return null;
+  const offlineQr = buildOfflineQr(client);
+  if (!offlineQr) {
+    logger.warn({ clientId: String(client._id), ...client.offlineQr.toObject() }, "Contact does not fit the offline QR limits. Skipping it.");
+    return null;
+  }
+  return { ...offlineQr, dataUrl: await qrcode.toDataURL(offlineQr.payload, { errorCorrectionLevel: offlineQr.errorCorrectionLevel }) };
+};
+
+// Validates offlineQr options from the publish request: false turns the offline QR off, an object turns it on
+const parseOfflineQrOptions = (value) => {
+  if (value === false || value === null) return { ...OFFLINE_QR_DEFAULTS, enabled: false };
+  if (typeof value !== "object" || Array.isArray(value)) throw new RangeError("offlineQr must be an object or false.");
+  const options = {
+    enabled: value.enabled !== false,
+    format: String(value.format || OFFLINE_QR_DEFAULTS.format).toLowerCase(),
+    errorCorrectionLevel: String(value.errorCorrectionLevel || OFFLINE_QR_DEFAULTS.errorCorrectionLevel).toUpperCase(),
+    maxVersion: value.maxVersion === undefined ? OFFLINE_QR_DEFAULTS.maxVersion : Number(value.maxVersion),
+  };
+  if (!OFFLINE_QR_FORMATS.includes(options.format)) throw new RangeError(`offlineQr.format must be one of: ${OFFLINE_QR_FORMATS.join(", ")}.`);
+  if (!QR_ERROR_CORRECTION_LEVELS.includes(options.errorCorrectionLevel)) {
+    throw new RangeError(`offlineQr.errorCorrectionLevel must be one of: ${QR_ERROR_CORRECTION_LEVELS.join(", ")}.`);
+  }
+  if (!Number.isInteger(options.maxVersion) || options.maxVersion < 1 || options.maxVersion > 40) {
+    throw new RangeError("offlineQr.maxVersion must be an integer from 1 to 40.");
+  }
+  return options;
+};
+
+// Assigns short codes to clients created before they existed; their QR codes are rebuilt to use them
+const backfillShortCodes = async () => {
+  const clients = await Client.find({ shortCode: { $exists: false } }).select("_id vcardUrl");
+  for (const client of clients) {
+    // Native driver update: Mongoose strips writes to the immutable shortCode path
+    await Client.collection.updateOne(
+      { _id: client._id, shortCode: { $exists: false } },
+      { $set: { shortCode: await generateShortCode(), ...(client.vcardUrl && { vcardStale: true }) } }
+    );
+  }
+  if (clients.length) logger.info(`Assigned short codes to ${clients.length} existing clients.`);
+};
+
+// VCF Upload (grouped under the client, like photos, so a purge can find every upload for the client)
+const uploadVcf = async (slug, vcfContent, clientId) => storage.upload({
+  folder: STORAGE_FOLDERS.vcards,
+  name: `${slug}.vcf`,
+  body: Buffer.from(vcfContent),
+  contentType: "text/vcard",
+  clientId,
+  tags: ["client_vcard"],
+});
+
+// Rebuilds the .vcf upload and QR codes for a client (caller saves the document)
+const regenerateVcardAssets = async (client) => {
+  if (!client.slug || client.slug.trim() === "") {
+    client.slug = await generateUniqueSlug(client.fullName);
+  }
+  // The public page URL uses the dedicated VCARD_BASE_URL
+  const publicVcardPage = `${VCARD_BASE_URL}/${client.slug}`;
+
+  // vCard upload, then a QR code for the permanent short link (not the direct vCard link)
+  const vcardUrl = await uploadVcf(client.slug, await generateVcardContent(client), client._id);
+  const qrCodeUrl = await qrcode.toDataURL(cardQrTarget(client));
+  const offlineQr = await renderOfflineQr(client);
+
+  client.vcardUrl = vcardUrl;
+  client.qrCodeUrl = qrCodeUrl;
+  client.offlineQrCodeUrl = offlineQr ? offlineQr.dataUrl : "";
+  client.vcardStale = false;
+  client.vcardGeneratedAt = new Date();
+  return {
+    vcardUrl,
+    qrCodeUrl,
+    offlineQrCodeUrl: client.offlineQrCodeUrl,
+    offlineQr: offlineQr && { format: offlineQr.format, errorCorrectionLevel: offlineQr.errorCorrectionLevel, version: offlineQr.version, trimmed: offlineQr.trimmed },
+    publicVcardPage,
+  };
+};
+
+// rebuild_vcard job: rebuilds a stale vCard/QR. Errors propagate so the queue retries with backoff.
+const rebuildStaleVcard = async ({ clientId }) => {
+  const client = await Client.findById(clientId);
+  if (!client || !client.vcardStale || !client.vcardUrl || client.status === "Deleted") return { result: { skipped: true } };
+
+  const before = snapshotClient(client);
+  const loadedAt = client.updatedAt;
+  const { vcardUrl, qrCodeUrl, offlineQrCodeUrl } = await regenerateVcardAssets(client);
+  recordHistory(client, null, { action: "VCARD_REGENERATED", notes: `vCard and QR rebuilt after card changes: ${vcardUrl}`, actor: "system", before });
+
+  // Only clear the stale flag if nobody edited the card while we were uploading
+  const result = await Client.updateOne(
+    { _id: client._id, updatedAt: loadedAt },
+    {
+      $set: { slug: client.slug, vcardUrl, qrCodeUrl, offlineQrCodeUrl, vcardStale: false, vcardGeneratedAt: client.vcardGeneratedAt },
+      $push: { history: client.history[client.history.length - 1].toObject() },
+    }
+  );
+  if (!result.matchedCount) {
+    logger.info({ clientId: String(clientId) }, "Card changed during vCard rebuild; rebuilding again");
+    await scheduleVcardRebuild(clientId);
+    return { result: { superseded: true } };
+  }
+  await logAction("system", "VCARD_REGENERATED", client._id, "Stale vCard rebuilt", { vcardUrl });
+  return { result: { vcardUrl } };
+};
+
+// One waiting rebuild per client is enough: it reloads the card when it runs
+const scheduleVcardRebuild = async (clientId) => {
+  const pending = await Job.exists({ type: "rebuild_vcard", "payload.clientId": String(clientId), status: { $in: ["queued", "failed"] } });
+  if (!pending) await enqueueJob("rebuild_vcard", { clientId: String(clientId) });
 };
 
-// PDF Stub 
-const generateAndUploadPdf = async (client) => {
-  logger.warn(`PDF generation is a complex feature and is currently stubbed (generateAndUploadPdf).`);
-  // Stubbed URL based on client slug
-  return `https://res.cloudinary.com/${CLOUDINARY_CLOUD_NAME}/raw/upload/smartcardlink_pdfs/${client.slug}.pdf`;
+// Stale cards whose rebuild was dead-lettered wait for an admin retry instead of being requeued every sweep
+const sweepStaleVcards = async () => {
+  const deadClientIds = await Job.distinct("payload.clientId", { type: "rebuild_vcard", status: "dead" });
+  const stale = await Client.find({ vcardStale: true, status: { $ne: "Deleted" }, _id: { $nin: deadClientIds } }).select("_id").limit(20);
+  for (const client of stale) await scheduleVcardRebuild(client._id);
 };
 
+// A client's known stored files: the URLs on record and the vCards published under every slug it has had
+// (older uploads predate per-client grouping)
+const clientStoredFiles = (client, formerSlugs = []) => {
+  const photoVariants = client.photoVariants ? Object.values(client.photoVariants.toObject ? client.photoVariants.toObject() : client.photoVariants) : [];
+  const files = [...new Set([client.photoUrl, ...photoVariants, client.vcardUrl])].map((url) => storage.fileFromUrl(url)).filter(Boolean);
+  for (const slug of [client.slug, ...formerSlugs].filter(Boolean)) files.push(...storage.legacyVcardFiles(slug));
+  return files;
+};
+
+// Deletes a client's photos and vCards: clientStoredFiles() plus everything grouped under the client.
+// Returns the per-file outcome ("deleted" / "not_found").
+const deleteClientStoredFiles = async (client, formerSlugs = []) => ({
+  ...await storage.deleteFiles(clientStoredFiles(client, formerSlugs)),
+  ...await storage.deleteClientFiles(client._id),
+});
+
+// purge_client job: removes a deleted client's personal data, stored files and slug aliases, leaving a tombstone.
+// History entries keep their action, actor and time but lose notes, diffs, IPs and user agents.
+// The record is claimed (purgedAt) before any file is deleted, so a restore racing the purge either wins outright or finds
+// a tombstone; the files still to delete are kept on the record until they are gone, so a retry picks up where it stopped.
+const purgeClient = async ({ clientId, actor = "system", reason = "Retention window expired" }) => {
+  const client = await Client.findById(clientId).select("+loginTokenHash +pendingPurgeFiles");
+  if (!client) throw permanentJobError("Client not found.");
+  if (client.purgedAt && !client.pendingPurgeFiles) return { result: { alreadyPurged: true } };
+
+  let files = client.pendingPurgeFiles ? client.pendingPurgeFiles.map(({ key, kind }) => ({ key, kind })) : [];
+  const purgedAt = client.purgedAt || new Date();
+  if (!client.purgedAt) {
+    if (client.status !== "Deleted") return { result: { skipped: "Client is no longer deleted" } };
+
+    const aliases = await SlugAlias.find({ client: client._id }).select("slug");
+    files = clientStoredFiles(client, aliases.map((alias) => alias.slug));
+    const tombstoneSlug = `purged-${client._id}`;
+    const history = client.history.map((entry) => ({ ...entry.toObject(), notes: "", changes: [], ip: "", userAgent: "" }));
+
+    // updateOne, not save(): the save hooks would turn the old slug into a redirecting alias
+    const result = await Client.updateOne(
+      { _id: client._id, status: "Deleted", purgedAt: null },
+      {
+        $set: { fullName: "Deleted client", slug: tombstoneSlug, history, purgedAt, purgeAfter: null, vcardStale: false, pendingPurgeFiles: files },
+        $unset: Object.fromEntries(CLIENT_PERSONAL_FIELDS.map((field) => [field, ""])),
+      }
+    );
+    if (!result.matchedCount) return { result: { skipped: "Client was restored during the purge" } };
+
+    // Copies of personal data held in other collections
+    await Promise.all([
+      SlugAlias.deleteMany({ client: client._id }),
+      ChangeRequest.deleteMany({ client: client._id }),
+      CardEvent.updateMany({ client: client._id }, { $set: { slug: tombstoneSlug } }),
+      EmailOutbox.updateMany({ client: client._id }, { $set: { to: "[purged]", subject: "[purged]", text: "", html: "" } }),
+      Job.updateMany({ "payload.clientId": String(client._id) }, { $unset: { "payload.to": "", "payload.ip": "", "payload.userAgent": "", result: "" } }),
+      Job.updateMany({ $or: [{ "payload.clientId": String(client._id) }, { "payload.clientIds": String(client._id) }] }, { $set: { outputFile: null } }),
+      deleteJobOutputs(client._id),
+    ]);
+    for (const key of previewCache.keys()) {
+      if (key.startsWith(`${client._id}:`)) previewCache.delete(key);
+    }
+  }
+
+  const assets = { ...await storage.deleteFiles(files), ...await storage.deleteClientFiles(client._id) };
+  const removedAssets = Object.values(assets).filter((state) => state === "deleted").length;
+  await Client.updateOne({ _id: client._id }, {
+    $unset: { pendingPurgeFiles: "" },
+    $push: { history: { action: "CLIENT_PURGED", actor, notes: `${reason}. Personal data and ${removedAssets} stored file(s) removed.`, changes: [], ip: "", userAgent: "", timestamp: new Date() } },
+  });
+
+  await logAction(actor, "CLIENT_PURGED", client._id, reason, { removedAssets });
+  return { result: { purgedAt, removedAssets } };
+};
+
+// Queues a purge for every deleted client whose retention window has passed (dead-lettered purges wait for an admin retry)
+const sweepExpiredDeletions = async () => {
+  // Clients deleted before the retention policy existed get a full window from now rather than an immediate purge
+  await Client.updateMany(
+    { status: "Deleted", purgeAfter: null, purgedAt: null },
+    { $set: { purgeAfter: new Date(Date.now() + CLIENT_PURGE_AFTER_DAYS * 24 * 60 * 60 * 1000) } }
+  );
+
+  const expired = await Client.find({ status: "Deleted", purgedAt: null, purgeAfter: { $lte: new Date() } }).select("_id").limit(50);
+  for (const client of expired) {
+    const existing = await Job.exists({ type: "purge_client", "payload.clientId": String(client._id), status: { $in: ["queued", "running", "failed", "dead"] } });
+    if (!existing) await enqueueJob("purge_client", { clientId: String(client._id) });
+  }
+};
+
+// Email Function: records the email in the outbox and queues a send_email job, so a slow SMTP server never holds up a request.
+// Without an html body the text is wrapped in the branded layout.
+const sendEmail = async (to, subject, text, html, { template = null, clientId = null, sensitive = false } = {}) => {
+  try {
+    const outbox = await EmailOutbox.create({
+      to,
+      subject,
+      text,
+      html: html || renderEmailLayout(subject, textToHtml(text)),
+      template,
+      client: clientId,
+      sensitive,
+    });
+
+    if (!SMTP_USER || !SMTP_PASS) {
+      logger.warn("SMTP credentials missing. Skipping email send.");
+      outbox.status = "skipped";
+      outbox.attempts.push({ success: false, error: "SMTP credentials missing" });
+      await outbox.save();
+      return outbox;
+    }
+
+    const job = await enqueueJob("send_email", { outboxId: String(outbox._id), to, ...(clientId && { clientId: String(clientId) }) });
+    outbox.job = job._id;
+    await outbox.save();
+    return outbox;
+  } catch (err) {
+    logger.error({ err }, `❌ Failed to queue email to ${to}`);
+    return null;
+  }
+};
+
+// send_email job: every attempt and its SMTP result lands in the outbox; errors propagate so the queue retries
+const deliverEmail = async ({ outboxId }, job) => {
+  const outbox = await EmailOutbox.findById(outboxId);
+  if (!outbox) throw permanentJobError("Outbox entry not found.");
+  if (outbox.status === "sent") return { result: { outboxId, messageId: outbox.attempts[outbox.attempts.length - 1]?.messageId } };
+
+  const mailOptions = {
+    from: `"${EMAIL_FROM_NAME}" <${SMTP_USER}>`,
+    to: outbox.to,
+    subject: outbox.subject,
+    text: outbox.text,
+    html: outbox.html,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    outbox.attempts.push({
+      success: true,
+      messageId: info.messageId,
+      response: info.response,
+      accepted: (info.accepted || []).map(String),
+      rejected: (info.rejected || []).map(String),
+    });
+    outbox.status = "sent";
+    outbox.sentAt = new Date();
+    if (outbox.sensitive) {
+      outbox.text = "[redacted after delivery]";
+      outbox.html = "";
+    }
+    await outbox.save();
+    logger.info(`Email sent to ${outbox.to}: ${info.messageId}`);
+    return { result: { outboxId, messageId: info.messageId } };
+  } catch (err) {
+    outbox.attempts.push({ success: false, error: String(err.message || err).substring(0, 1000), response: err.response });
+    outbox.status = job && job.attempts >= job.maxAttempts ? "failed" : "retrying";
+    await outbox.save().catch((saveErr) => logger.error({ err: saveErr }, "❌ Failed to record email attempt"));
+    throw err;
+  }
+};
+
+// ------------------------
+// Email Templates
+// ------------------------
+// Each template renders a subject, plain-text body and HTML body from emailTemplateVars(client).
+// HTML bodies receive the HTML-escaped variables; subjects and text receive the raw ones.
+
+// Plain text to HTML paragraphs (escaped), for emails sent without an HTML body
+const textToHtml = (text) => String(text || "")
+  .split(/\n{2,}/)
+  .map((para) => `<p>${escapeHtml(para).replace(/\n/g, "<br>")}</p>`)
+  .join("\n");
+
+// Branded wrapper shared by every email (table layout for email client compatibility)
+const renderEmailLayout = (heading, bodyHtml) => `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${escapeHtml(heading)}</title></head>
+<body style="margin:0;padding:0;background:#f4f4f4;font-family:Arial,Helvetica,sans-serif;color:${BRAND_DARK};">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f4f4;padding:24px 0;">
+    <tr><td align="center">
+      <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:8px;overflow:hidden;">
+        <tr><td style="background:${BRAND_DARK};color:${BRAND_GOLD};padding:20px 32px;font-size:20px;font-weight:bold;letter-spacing:3px;">SMARTCARDLINK</td></tr>
+        <tr><td style="padding:32px;font-size:15px;line-height:1.6;">
+          <h1 style="margin:0 0 16px;font-size:22px;color:${BRAND_DARK};">${escapeHtml(heading)}</h1>
+          ${bodyHtml}
+        </td></tr>
+        <tr><td style="background:#fafafa;border-top:3px solid ${BRAND_GOLD};padding:16px 32px;font-size:12px;color:${BRAND_MUTED};">
+          Powered by Perfect Parcels Store &middot; Nairobi, Kenya
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body></html>`;
+
+const emailButton = (href, label) => `<p style="margin:24px 0;"><a href="${href}" style="background:${BRAND_GOLD};color:${BRAND_DARK};padding:12px 24px;border-radius:6px;text-decoration:none;font-weight:bold;display:inline-block;">${label}</a></p>`;
+
+// Template variables drawn from the Client record; `extra` carries per-send context such as the admin's notes
+const emailTemplateVars = (client, extra = {}) => ({
+  fullName: client.fullName || "",
+  firstName: (client.fullName || "").trim().split(/\s+/)[0] || "there",
+  company: client.company || "",
+  title: client.title || "",
+  email: client.email1 || "",
+  phone: client.phone1 || "",
+  slug: client.slug || "",
+  status: client.status || "",
+  publicPageUrl: client.slug ? `${VCARD_BASE_URL}/${client.slug}` : "",
+  shortUrl: client.slug ? cardQrTarget(client) : "",
+  vcardUrl: client.vcardUrl || "",
+  qrCodeUrl: client.qrCodeUrl || "",
+  portalUrl: `${FRONTEND_BASE_URL.replace(/\/$/, "")}/${CLIENT_PORTAL_PAGE}`,
+  supportEmail: ADMIN_EMAIL || "",
+  notes: "",
+  changedFields: "",
+  ...extra,
+});
+
+const EMAIL_TEMPLATES = {
+  submission_received: {
+    label: "Submission received",
+    subject: (v) => "We received your SmartCardLink details",
+    text: (v) => `Hello ${v.firstName},\n\nThank you for submitting your details. Our team is reviewing them and will let you know as soon as your digital smart card is ready.\n\n${v.supportEmail ? `Questions? Reply to this email or write to ${v.supportEmail}.` : ""}`,
+    html: (e) => `<p>Hello ${e.firstName},</p>
+          <p>Thank you for submitting your details. Our team is reviewing them and will let you know as soon as your digital smart card is ready.</p>
+          ${e.supportEmail ? `<p>Questions? Reply to this email or write to <a href="mailto:${e.supportEmail}">${e.supportEmail}</a>.</p>` : ""}`,
+  },
+  card_ready: {
+    label: "Card ready",
+    subject: (v) => `Your SmartCardLink is Ready: ${v.fullName}`,
+    text: (v) => `Dear ${v.fullName},\n\nYour SmartCardLink profile is now active and ready to share.\n\nPublic page: ${v.publicPageUrl}\nShare link: ${v.shortUrl}\nDownload contact (.vcf): ${v.vcardUrl}\n\nYou can update your card at any time: ${v.portalUrl}\n\nThank you.`,
+    html: (e) => `<p>Dear ${e.fullName},</p>
+          <p>Your SmartCardLink profile is now active and ready to share.</p>
+          ${emailButton(e.publicPageUrl, "View your card")}
+          <p><strong>Share link:</strong> <a href="${e.shortUrl}">${e.shortUrl}</a><br>
+          <strong>Direct Download vCard:</strong> <a href="${e.vcardUrl}">Click to Download Contact (.vcf)</a></p>
+          ${e.qrCodeUrl ? `<img src="${e.qrCodeUrl}" alt="QR Code" width="200" height="200" style="border:1px solid #ccc;padding:10px;">` : ""}
+          <p>You can update your card at any time from <a href="${e.portalUrl}">your client portal</a>.</p>
+          <p>Thank you.</p>`,
+  },
+  card_suspended: {
+    label: "Card suspended",
+    subject: (v) => "Your SmartCardLink card has been suspended",
+    text: (v) => `Dear ${v.fullName},\n\nYour SmartCardLink card (${v.publicPageUrl}) has been suspended and is no longer visible to visitors.${v.notes ? `\n\nReason: ${v.notes}` : ""}\n\n${v.supportEmail ? `Please contact ${v.supportEmail} if you have any questions.` : ""}`,
+    html: (e) => `<p>Dear ${e.fullName},</p>
+          <p>Your SmartCardLink card (<a href="${e.publicPageUrl}">${e.publicPageUrl}</a>) has been suspended and is no longer visible to visitors.</p>
+          ${e.notes ? `<p style="background:#fff8d6;border-left:4px solid ${BRAND_GOLD};padding:12px 16px;"><strong>Reason:</strong> ${e.notes}</p>` : ""}
+          ${e.supportEmail ? `<p>Please contact <a href="mailto:${e.supportEmail}">${e.supportEmail}</a> if you have any questions.</p>` : ""}`,
+  },
+  card_reactivated: {
+    label: "Card reactivated",
+    subject: (v) => "Your SmartCardLink card is live again",
+    text: (v) => `Dear ${v.fullName},\n\nGood news: your SmartCardLink card is active again and visible at ${v.publicPageUrl}.${v.notes ? `\n\nNote from our team: ${v.notes}` : ""}\n\nThank you.`,
+    html: (e) => `<p>Dear ${e.fullName},</p>
+          <p>Good news: your SmartCardLink card is active again.</p>
+          ${emailButton(e.publicPageUrl, "View your card")}
+          ${e.notes ? `<p><strong>Note from our team:</strong> ${e.notes}</p>` : ""}
+          <p>Thank you.</p>`,
+  },
+  card_deleted: {
+    label: "Card removed",
+    subject: (v) => "Your SmartCardLink card has been removed",
+    text: (v) => `Dear ${v.fullName},\n\nYour SmartCardLink card has been removed and its page is no longer available.${v.notes ? `\n\nReason: ${v.notes}` : ""}\n\n${v.supportEmail ? `If you think this is a mistake, please contact ${v.supportEmail}.` : ""}`,
+    html: (e) => `<p>Dear ${e.fullName},</p>
+          <p>Your SmartCardLink card has been removed and its page is no longer available.</p>
+          ${e.notes ? `<p style="background:#fff8d6;border-left:4px solid ${BRAND_GOLD};padding:12px 16px;"><strong>Reason:</strong> ${e.notes}</p>` : ""}
+          ${e.supportEmail ? `<p>If you think this is a mistake, please contact <a href="mailto:${e.supportEmail}">${e.supportEmail}</a>.</p>` : ""}`,
+  },
+  card_under_review: {
+    label: "Card under review",
+    subject: (v) => "Your SmartCardLink card is being reviewed",
+    text: (v) => `Dear ${v.fullName},\n\nYour SmartCardLink card has been moved back to review by our team. We will let you know as soon as it is live again.${v.notes ? `\n\nNote from our team: ${v.notes}` : ""}\n\nThank you.`,
+    html: (e) => `<p>Dear ${e.fullName},</p>
+          <p>Your SmartCardLink card has been moved back to review by our team. We will let you know as soon as it is live again.</p>
+          ${e.notes ? `<p><strong>Note from our team:</strong> ${e.notes}</p>` : ""}
+          <p>Thank you.</p>`,
+  },
+  edit_approved: {
+    label: "Edit approved",
+    subject: (v) => "Your SmartCardLink changes are live",
+    text: (v) => `Dear ${v.fullName},\n\nThe changes you requested${v.changedFields ? ` (${v.changedFields})` : ""} have been approved and are now on your card: ${v.publicPageUrl}${v.notes ? `\n\nNote from our team: ${v.notes}` : ""}\n\nThank you.`,
+    html: (e) => `<p>Dear ${e.fullName},</p>
+          <p>The changes you requested${e.changedFields ? ` (<strong>${e.changedFields}</strong>)` : ""} have been approved and are now on your card.</p>
+          ${emailButton(e.publicPageUrl, "View your card")}
+          ${e.notes ? `<p><strong>Note from our team:</strong> ${e.notes}</p>` : ""}
+          <p>Thank you.</p>`,
+  },
+};
+
+const renderEmailTemplate = (templateKey, client, extra = {}) => {
+  const template = EMAIL_TEMPLATES[templateKey];
+  if (!template) throw new RangeError(`Unknown email template: ${templateKey}`);
+
+  const vars = emailTemplateVars(client, extra);
+  const escaped = Object.fromEntries(Object.entries(vars).map(([key, value]) => [key, escapeHtml(value)]));
+  const subject = template.subject(vars);
+  return {
+    subject,
+    text: template.text(vars).trim(),
+    html: renderEmailLayout(subject, template.html(escaped)),
+  };
+};
+
+// Renders a template for a client and sends it (to email1 unless `to` is given); no-op without a recipient
+const sendTemplatedEmail = async (templateKey, client, { to = client.email1, ...extra } = {}) => {
+  if (!to) return null;
+  const { subject, text, html } = renderEmailTemplate(templateKey, client, extra);
+  return sendEmail(to, subject, text, html, { template: templateKey, clientId: client._id });
+};
+
+// Lifecycle Notifications: activating a pending card is its first publication, any other activation a reactivation
+const statusNotificationTemplate = (from, to) => {
+  if (to === "Active") return from === "Pending" ? "card_ready" : "card_reactivated";
+  return { Suspended: "card_suspended", Deleted: "card_deleted", Pending: "card_under_review" }[to];
+};
+
+// Every From->To transition with its template and default opt-in. Pending->Active stays off because publishing
+// the vCard already sends card_ready, and its notes are usually internal.
+const defaultStatusNotifications = () => Object.fromEntries(CLIENT_STATUSES.flatMap((from) => CLIENT_STATUSES
+  .filter((to) => to !== from)
+  .map((to) => {
+    const key = `${from}->${to}`;
+    const firstPublication = from === "Pending" && to === "Active";
+    return [key, { transition: key, from, to, template: statusNotificationTemplate(from, to), enabled: STATUS_NOTIFICATIONS_ON_BY_DEFAULT.includes(key), includeNotes: !firstPublication }];
+  })));
+
+const getStatusNotificationSettings = async () => {
+  const settings = defaultStatusNotifications();
+  const stored = await Setting.findOne({ key: STATUS_NOTIFICATIONS_SETTING }).lean();
+  for (const [key, value] of Object.entries(stored?.value || {})) {
+    if (settings[key]) Object.assign(settings[key], { enabled: Boolean(value.enabled), includeNotes: Boolean(value.includeNotes) });
+  }
+  return settings;
+};
+
+// Status State Machine: why `to` is not a valid next status for this client (null when the move is allowed)
+const statusTransitionProblem = (client, to) => {
+  const from = client.status || "Pending";
+  if (!CLIENT_STATUSES.includes(to)) return "Invalid status provided.";
+  if (from === to) return `Client is already ${to}.`;
+  if (!CLIENT_STATUS_TRANSITIONS[from]?.[to]) return `A ${from} client cannot be moved to ${to}.`;
+  if (from === "Deleted" && client.purgedAt) return "This client's data was purged after the retention window; it can no longer be restored.";
+  if (to === "Active" && !client.vcardUrl) return "Generate the vCard before activating this client.";
+  return null;
+};
+
+// Sets the new status and the side effects that live on the client document (caller records history and saves)
+const applyStatusTransition = (client, to) => {
+  const from = client.status;
+  client.status = to;
+  if (to === "Deleted") {
+    client.deletedAt = new Date();
+    client.purgeAfter = new Date(Date.now() + CLIENT_PURGE_AFTER_DAYS * 24 * 60 * 60 * 1000);
+    client.loginTokenHash = undefined; // Outstanding portal login links stop working
+    client.loginTokenExpiresAt = undefined;
+  } else if (from === "Deleted") {
+    client.deletedAt = null;
+    client.purgeAfter = null;
+  }
+  return from;
+};
+
+// Side effects outside the client document, run once the transition is saved
+const afterStatusTransition = async (client, from, to, { notes = "", actor = "system" } = {}) => {
+  if (to === "Deleted") {
+    await ChangeRequest.updateMany(
+      { client: client._id, status: "pending" },
+      { $set: { status: "rejected", reviewedBy: actor, reviewedAt: new Date(), reviewNotes: "Client deleted" } }
+    );
+  }
+  await notifyStatusChange(client, from, to, { notes, actor });
+};
+
+// Next actions for the dashboard: every transition out of the current status, with the reason when it is blocked
+const clientStatusActions = (client, role) => Object.entries(CLIENT_STATUS_TRANSITIONS[client.status] || {})
+  .map(([to, label]) => {
+    let reason = statusTransitionProblem(client, to);
+    if (!reason && role === "viewer") reason = "Viewers cannot change client status.";
+    if (!reason && OWNER_ONLY_STATUSES.includes(to) && role !== "owner") reason = `Only owners can move clients to ${to}.`;
+    return { status: to, label, allowed: !reason, reason };
+  });
+
+// Emails the client about an opted-in status change and records what was sent in their history.
+// Never throws: the status change has already been saved and must not be reported as failed.
+const notifyStatusChange = async (client, from, to, { notes = "", actor = "system" } = {}) => {
+  try {
+    if (from === to) return null;
+    const rule = (await getStatusNotificationSettings())[`${from}->${to}`];
+    if (!rule || !rule.enabled) return null;
+
+    if (!client.email1) {
+      recordHistory(client, null, { action: "STATUS_NOTIFICATION_SKIPPED", notes: `${rule.template} email for ${from} → ${to} not sent: no email1 on file`, actor });
+      await client.save();
+      return null;
+    }
+
+    const outbox = await sendTemplatedEmail(rule.template, client, { notes: rule.includeNotes ? notes || "" : "" });
+    const delivered = outbox && outbox.status !== "skipped";
+    recordHistory(client, null, {
+      action: delivered ? "STATUS_NOTIFICATION_SENT" : "STATUS_NOTIFICATION_FAILED",
+      notes: delivered
+        ? `"${outbox.subject}" (${rule.template}) sent to ${outbox.to} for ${from} → ${to}${rule.includeNotes && notes ? " with reason" : ""}; outbox ${outbox._id}`
+        : `${rule.template} email to ${client.email1} for ${from} → ${to} could not be sent${outbox ? " (SMTP not configured)" : ""}`,
+      actor,
+    });
+    await client.save();
+    return outbox;
+  } catch (err) {
+    logger.error({ err, clientId: String(client._id) }, "❌ Status change notification failed");
+    return null;
+  }
+};
+
+// publish_vcard job: uploads the vCard and QR, activates the client and emails them their card.
+// Nothing is saved until both uploads succeed, so a failed attempt leaves the client untouched for the retry.
+// offlineQr (parseOfflineQrOptions output) replaces the client's offline QR settings.
+const publishClientVcard = async ({ clientId, actor = "system", ip = "", userAgent = "", offlineQr }) => {
+  const client = await Client.findById(clientId);
+  if (!client) throw permanentJobError("Client not found.");
+  if (client.status === "Deleted") throw permanentJobError("Client has been deleted.");
+
+  const before = snapshotClient(client);
+  if (offlineQr) client.offlineQr = offlineQr;
+  const assets = await regenerateVcardAssets(client);
+  const { vcardUrl, publicVcardPage, offlineQr: offline } = assets;
+  const offlineNote = offline
+    ? `, offline QR v${offline.version}${offline.trimmed.length ? ` (${offline.trimmed.map((t) => `${t.field} ${t.action}`).join(", ")})` : ""}`
+    : "";
+  // Publishing activates a pending card; a suspended card keeps its status until an admin reactivates it
+  if (client.status === "Pending") applyStatusTransition(client, "Active");
+  recordHistory(client, null, { action: "VCARD_CREATED", notes: `vCard at ${vcardUrl}, Public Page: ${publicVcardPage}${offlineNote}`, actor, ip, userAgent, before });
+  await client.save();
+
+  await sendTemplatedEmail("card_ready", client, { to: client.email1 || ADMIN_EMAIL });
+
+  return { result: assets };
+};
+
+// Rendered job files live in GridFS rather than on the Job: a print sheet of photo cards can outgrow MongoDB's 16 MB
+// document limit. metadata.clientIds names every client a file shows, so purges and erasures find it even after its job expired.
+const jobOutputBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: JOB_OUTPUT_BUCKET });
+
+const saveJobOutput = (job, buffer, { filename, contentType }) => new Promise((resolve, reject) => {
+  const clientIds = [job.payload?.clientId, ...(job.payload?.clientIds || [])].filter(Boolean).map(String);
+  const upload = jobOutputBucket().openUploadStream(filename || `job_${job._id}`, { metadata: { job: job._id, contentType, clientIds } });
+  upload.once("error", reject).once("finish", () => resolve(upload.id));
+  upload.end(buffer);
+});
+
+// Deletes the rendered files showing a client (or every file matching a GridFS filter); returns how many went
+const deleteJobOutputs = async (clientIdOrFilter) => {
+  const filter = mongoose.isValidObjectId(clientIdOrFilter) ? { "metadata.clientIds": String(clientIdOrFilter) } : clientIdOrFilter;
+  const bucket = jobOutputBucket();
+  const files = await bucket.find(filter, { projection: { _id: 1 } }).toArray();
+  for (const file of files) {
+    await bucket.delete(file._id).catch((err) => { if (!/not found/i.test(err.message)) throw err; });
+  }
+  return files.length;
+};
+
+// Files outlive their job by at most one sweep (as do any whose job never got to record them)
+const sweepExpiredJobOutputs = () => deleteJobOutputs({ uploadDate: { $lt: new Date(Date.now() - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000) } });
+
+// render_pdf job: the PDF goes to GridFS (saveJobOutput) and is downloaded from GET /api/admin/jobs/:id/output
+const renderPdfJob = async ({ kind, clientId, clientIds = [], design = null, sheet = "A4", duplex = "long-edge", gutterMm = 0, actor = "system" }) => {
+  let buffer;
+  let filename;
+
+  if (kind === "print_sheet") {
+    const found = await Client.find({ _id: { $in: clientIds } });
+    const byId = new Map(found.map((client) => [client._id.toString(), client]));
+    // Keep the admin's selection order on the sheet
+    const clients = clientIds.map((id) => byId.get(String(id))).filter(Boolean);
+    if (!clients.length) throw permanentJobError("None of the selected clients exist any more.");
+
+    const gutter = gutterMm * MM;
+    buffer = await generateImposedSheetPdf(clients, { sheet, gutter, duplex, design });
+    filename = `cards_${sheet}_${new Date().toISOString().slice(0, 10)}.pdf`;
+    await logAction(actor, "PRINT_SHEET_GENERATED", null, `${clients.length} cards imposed on ${sheet}`, { perSheet: computeSheetLayout(sheet, gutter).perSheet, clientIds });
+  } else {
+    const client = await Client.findById(clientId);
+    if (!client) throw permanentJobError("Client not found.");
+
+    if (kind === "print_card") {
+      const cardDesign = design || client.cardDesign || "classic";
+      buffer = await generatePrintCardPdf(client, cardDesign);
+      filename = `card_${client.slug}_${cardDesign}.pdf`;
+      await logAction(actor, "PRINT_CARD_GENERATED", client._id, `Print card rendered (${cardDesign})`, { bytes: buffer.length });
+    } else if (kind === "client_sheet") {
+      buffer = await generateClientPdf(client);
+      filename = `client_${client.slug}.pdf`;
+      await logAction(actor, "CLIENT_PDF_GENERATED", client._id, "Client info sheet rendered", { bytes: buffer.length });
+    } else {
+      throw permanentJobError(`Unknown PDF kind: ${kind}`);
+    }
+  }
+
+  return { output: buffer, result: { filename, contentType: "application/pdf", bytes: buffer.length } };
+};
+
+// ------------------------
+// Data Export & Erasure
+// ------------------------
+// Exports bundle the client record, its history, analytics events, email log, change requests and stored files.
+// Erasure reuses the retention purge, deletes what a purge only anonymises, checks nothing is left and signs the result.
+
+// Everything held about a client as ZIP entries ({ name, content }), led by a manifest.
+// Files are only copied out of our own storage: URLs elsewhere are listed under externalFiles and never fetched,
+// and stored files that cannot be read are listed under missingFiles instead of failing the export.
+const buildClientExport = async (client, generatedBy) => {
+  const [events, emails, changeRequests, aliases] = await Promise.all([
+    CardEvent.find({ client: client._id }).sort({ createdAt: 1 }).lean(),
+    EmailOutbox.find({ client: client._id }).sort({ createdAt: 1 }).lean(),
+    ChangeRequest.find({ client: client._id }).sort({ createdAt: 1 }).lean(),
+    SlugAlias.find({ client: client._id }).sort({ createdAt: 1 }).lean(),
+  ]);
+  const { history, loginTokenHash, loginTokenExpiresAt, ...record } = client.toObject({ versionKey: false });
+
+  const json = (value) => JSON.stringify(value, null, 2);
+  const entries = [
+    { name: "client.json", content: json(record) },
+    { name: "history.json", content: json(history) },
+    { name: "analytics-events.json", content: json(events) },
+    // Undelivered login links are still live, so sensitive bodies never leave the outbox
+    { name: "emails.json", content: json(emails.map((email) => (email.sensitive ? { ...email, text: "[redacted]", html: "" } : email))) },
+    { name: "change-requests.json", content: json(changeRequests) },
+    { name: "former-slugs.json", content: json(aliases.map((alias) => ({ slug: alias.slug, url: `${VCARD_BASE_URL}/${alias.slug}`, since: alias.updatedAt }))) },
+  ];
+
+  const missingFiles = [];
+  const externalFiles = [];
+  const storedFiles = [
+    ["photo", client.photoUrl, (buffer) => `files/photo.${IMAGE_EXTENSIONS[imageMimeType(buffer)] || "bin"}`],
+    ["vcard", client.vcardUrl, () => `files/${client.slug || "card"}.vcf`],
+  ];
+  for (const [file, url, nameFor] of storedFiles) {
+    if (!url) continue;
+    const stored = storage.fileFromUrl(url);
+    if (!stored) {
+      externalFiles.push({ file, url });
+      continue;
+    }
+    try {
+      const buffer = await storage.readFile(stored);
+      if (!buffer) throw new Error("File no longer exists in storage.");
+      entries.push({ name: nameFor(buffer), content: buffer });
+    } catch (err) {
+      missingFiles.push({ file, url, error: String(err.message || err) });
+    }
+  }
+  [["qrCodeUrl", "files/qr-code.png"], ["offlineQrCodeUrl", "files/offline-qr-code.png"]].forEach(([field, name]) => {
+    if (/^data:image\/png;base64,/.test(client[field] || "")) entries.push({ name, content: Buffer.from(client[field].split(",")[1], "base64") });
+  });
+
+  const manifest = {
+    clientId: String(client._id),
+    generatedAt: new Date(),
+    generatedBy,
+    counts: { historyEntries: history.length, analyticsEvents: events.length, emails: emails.length, changeRequests: changeRequests.length, formerSlugs: aliases.length },
+    files: ["manifest.json", ...entries.map((entry) => entry.name)],
+    externalFiles,
+    missingFiles,
+  };
+  entries.unshift({ name: "manifest.json", content: json(manifest) });
+  return { entries, manifest };
+};
+
+// Streams ZIP entries as a download. Headers are sent once streaming starts, so a failure can only end the response.
+const sendZip = (res, filename, entries) => {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.on("error", (err) => {
+    logger.error({ err }, `❌ Failed to stream ${filename}`);
+    res.destroy(err);
+  });
+  res.attachment(filename);
+  archive.pipe(res);
+  entries.forEach(({ name, content }) => archive.append(content, { name }));
+  return archive.finalize().catch(() => {}); // Reported by the error handler above
+};
+
+// The fields an erasure signature covers, serialised in a fixed order
+const erasureRecordPayload = (erasure) => JSON.stringify({
+  id: String(erasure._id),
+  client: String(erasure.client),
+  reason: erasure.reason,
+  requestedBy: erasure.requestedBy,
+  verification: {
+    method: erasure.verification.method,
+    verifiedAt: erasure.verification.verifiedAt ? erasure.verification.verifiedAt.toISOString() : null,
+    verifiedBy: erasure.verification.verifiedBy || null,
+  },
+  removed: erasure.removed,
+  remaining: erasure.remaining,
+  completedAt: erasure.completedAt ? erasure.completedAt.toISOString() : null,
+});
+
+const signErasureRecord = (erasure) => crypto.createHmac("sha256", ERASURE_SIGNING_SECRET).update(erasureRecordPayload(erasure)).digest("hex");
+
+const erasureSignatureValid = (erasure) => {
+  if (!erasure.signature || !ERASURE_SIGNING_SECRET) return false;
+  const expected = Buffer.from(signErasureRecord(erasure), "hex");
+  const actual = Buffer.from(erasure.signature, "hex");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Queues the erase_client job for a verified request
+const queueErasure = async (erasure) => {
+  const job = await enqueueJob("erase_client", { erasureId: String(erasure._id) }, { createdBy: erasure.requestedBy });
+  await ErasureRequest.updateOne({ _id: erasure._id }, { $set: { job: job._id } });
+  return job;
+};
+
+// Jobs holding a client's data: their own jobs (emails included), print sheets they appear on, and email jobs
+// queued before send_email payloads carried a clientId (found through the outbox, so looked up before it is deleted)
+const clientJobsFilter = (clientId, emailJobIds = []) => ({
+  $or: [{ "payload.clientId": String(clientId) }, { "payload.clientIds": String(clientId) }, { _id: { $in: emailJobIds } }],
+});
+
+// Post-erasure checks: what still holds the client's data (empty lists and zero counts on success)
+const findErasureLeftovers = async (clientId, storedFiles, emailJobIds = []) => {
+  const raw = await Client.collection.findOne({ _id: clientId }); // Native driver: schema defaults would hide unset fields
+  const clientFields = raw ? CLIENT_PERSONAL_FIELDS.filter((field) => raw[field] !== undefined && raw[field] !== null && raw[field] !== "") : [];
+  if (raw && raw.fullName !== "Deleted client") clientFields.unshift("fullName");
+
+  const [cardEvents, emails, changeRequests, slugAliases, jobs] = await Promise.all([
+    CardEvent.countDocuments({ client: clientId }),
+    EmailOutbox.countDocuments({ client: clientId }),
+    ChangeRequest.countDocuments({ client: clientId }),
+    SlugAlias.countDocuments({ client: clientId }),
+    Job.countDocuments(clientJobsFilter(clientId, emailJobIds)),
+  ]);
+  const files = await storage.countFiles(storedFiles) + await storage.countClientFiles(clientId);
+  const jobOutputs = (await jobOutputBucket().find({ "metadata.clientIds": String(clientId) }, { projection: { _id: 1 } }).toArray()).length;
+  return { clientFields, cardEvents, emails, changeRequests, slugAliases, jobs, jobOutputs, storedFiles: files };
+};
+
+// erase_client job: deletes or anonymises everything held about a client, verifies nothing is left, then signs the record.
+// Every step is idempotent, so a retry after a partial failure carries on where the last attempt stopped.
+const eraseClient = async ({ erasureId }) => {
+  if (!ERASURE_SIGNING_SECRET) throw permanentJobError("Erasure signing secret not configured.");
+  const erasure = await ErasureRequest.findById(erasureId);
+  if (!erasure) throw permanentJobError("Erasure request not found.");
+  if (erasure.status === "completed") return { result: { alreadyCompleted: true } };
+  if (erasure.status !== "verified") throw permanentJobError("Erasure request has not been verified.");
+
+  const client = await Client.findById(erasure.client);
+  if (!client) throw permanentJobError("Client not found.");
+  const actor = erasure.requestedBy;
+  const reason = `Erasure request ${erasure._id}`;
+
+  if (client.status !== "Deleted") {
+    const before = snapshotClient(client);
+    applyStatusTransition(client, "Deleted");
+    recordHistory(client, null, { action: "CLIENT_DELETED", notes: reason, actor, before, ip: "", userAgent: "" });
+    await client.save();
+  }
+
+  // Collected before the purge clears the URLs and aliases they come from
+  const formerSlugs = (await SlugAlias.find({ client: client._id }).select("slug")).map((alias) => alias.slug);
+  const storedFiles = clientStoredFiles(client, formerSlugs);
+  const changeRequests = await ChangeRequest.countDocuments({ client: client._id });
+  const emailJobIds = (await EmailOutbox.distinct("job", { client: client._id })).filter(Boolean);
+
+  const { result: purge } = await purgeClient({ clientId: client._id, actor, reason });
+  if (purge.skipped) throw permanentJobError(purge.skipped);
+  let removedAssets = purge.removedAssets || 0;
+  if (purge.alreadyPurged) {
+    // Purged earlier by the retention sweep: make sure no file was left behind since
+    const assets = await deleteClientStoredFiles(client, formerSlugs);
+    removedAssets = Object.values(assets).filter((state) => state === "deleted").length;
+  }
+
+  // A purge keeps anonymised analytics, email and job records; erasure deletes them outright.
+  // Print sheets also show other clients, so those jobs only lose this client's ID and the rendered file.
+  const [events, emails, jobs, printSheets, jobOutputs] = await Promise.all([
+    CardEvent.deleteMany({ client: client._id }),
+    EmailOutbox.deleteMany({ client: client._id }),
+    Job.deleteMany({ $or: [{ "payload.clientId": String(client._id) }, { _id: { $in: emailJobIds } }], status: { $ne: "running" } }),
+    Job.updateMany(
+      { "payload.clientIds": String(client._id), status: { $ne: "running" } },
+      { $pull: { "payload.clientIds": String(client._id) }, $set: { outputFile: null } }
+    ),
+    deleteJobOutputs(client._id),
+  ]);
+  await ErasureRequest.updateOne({ _id: erasure._id }, {
+    $inc: {
+      "removed.storedFiles": removedAssets,
+      "removed.slugAliases": purge.alreadyPurged ? 0 : formerSlugs.length,
+      "removed.changeRequests": purge.alreadyPurged ? 0 : changeRequests,
+      "removed.cardEvents": events.deletedCount,
+      "removed.emails": emails.deletedCount,
+      "removed.jobs": jobs.deletedCount,
+      "removed.printSheets": printSheets.modifiedCount,
+      "removed.jobOutputs": jobOutputs,
+    },
+  });
+
+  const remaining = await findErasureLeftovers(client._id, storedFiles, emailJobIds);
+  const leftovers = Object.entries(remaining).filter(([, value]) => (Array.isArray(value) ? value.length : value));
+  if (leftovers.length) throw new Error(`Erasure incomplete, still holding: ${leftovers.map(([store, value]) => `${store} (${value})`).join(", ")}`);
+
+  const completedAt = new Date();
+  await Client.updateOne({ _id: client._id }, {
+    $push: { history: { action: "CLIENT_ERASED", actor, notes: `${reason} completed and verified`, changes: [], ip: "", userAgent: "", timestamp: completedAt } },
+  });
+  const record = await ErasureRequest.findByIdAndUpdate(erasure._id, { $set: { status: "completed", remaining, completedAt } }, { new: true });
+  record.signature = signErasureRecord(record);
+  await record.save();
+
+  await logAction(actor, "CLIENT_ERASED", client._id, reason, { removed: record.removed });
+  return { result: { erasureId: String(record._id), removed: record.removed, signature: record.signature } };
+};
+
+
+// ------------------------
+// Background Job Queue
+// ------------------------
+// Jobs are claimed atomically with findOneAndUpdate, so several app instances can share the queue.
+// A failing job is retried with exponential backoff until maxAttempts, then parked as "dead" (dead-letter).
+
+const JOB_HANDLERS = {
+  send_email: deliverEmail,
+  publish_vcard: publishClientVcard,
+  rebuild_vcard: rebuildStaleVcard,
+  render_pdf: renderPdfJob,
+  purge_client: purgeClient,
+  erase_client: eraseClient,
+};
+
+// Errors that no retry can fix (e.g. the client was deleted) go straight to the dead-letter state
+const permanentJobError = (message) => Object.assign(new Error(message), { permanent: true });
+
+const enqueueJob = async (type, payload = {}, { runAt = new Date(), maxAttempts = JOB_MAX_ATTEMPTS, createdBy = "system" } = {}) => {
+  const job = await Job.create({ type, payload, runAt, maxAttempts, createdBy });
+  kickJobWorker();
+  return job;
+};
+
+const jobBackoffMs = (attempt) => Math.min(JOB_BACKOFF_BASE_MS * 2 ** (attempt - 1), JOB_BACKOFF_MAX_MS) * (0.8 + Math.random() * 0.4);
+
+const claimNextJob = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: { $in: ["queued", "failed"] }, runAt: { $lte: now } },
+        // A stale lock with no attempts left is dead-lettered by deadLetterStaleJobs instead
+        { status: "running", lockedAt: { $lte: new Date(now.getTime() - JOB_LOCK_TIMEOUT_MS) }, $expr: { $lt: ["$attempts", "$maxAttempts"] } },
+      ],
+    },
+    { $set: { status: "running", lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Jobs whose every attempt crashed or hung the worker (stale lock, attempts used up) would otherwise sit in "running" forever
+const deadLetterStaleJobs = async () => {
+  const message = "Worker stopped or timed out while running the job.";
+  const { modifiedCount } = await Job.updateMany(
+    { status: "running", lockedAt: { $lte: new Date(Date.now() - JOB_LOCK_TIMEOUT_MS) }, $expr: { $gte: ["$attempts", "$maxAttempts"] } },
+    { $set: { status: "dead", lockedAt: null, lastError: message }, $push: { failures: { $each: [{ message, at: new Date() }], $slice: -20 } } }
+  );
+  if (modifiedCount) logger.error(`❌ ${modifiedCount} stale job(s) moved to dead-letter after exhausting their attempts`);
+};
+
+const runJob = async (job) => {
+  try {
+    const handler = JOB_HANDLERS[job.type];
+    if (!handler) throw permanentJobError(`No handler for job type ${job.type}`);
+    const { result = null, output } = (await handler(job.payload || {}, job)) || {};
+
+    const update = { status: "completed", result, completedAt: new Date(), lockedAt: null, lastError: null };
+    if (output) update.outputFile = await saveJobOutput(job, output, result || {});
+    await Job.updateOne({ _id: job._id }, { $set: update });
+  } catch (err) {
+    const dead = Boolean(err.permanent) || job.attempts >= job.maxAttempts;
+    const message = String(err?.message || err).substring(0, 1000);
+    await Job.updateOne({ _id: job._id }, {
+      $set: {
+        status: dead ? "dead" : "failed",
+        lastError: message,
+        lockedAt: null,
+        runAt: new Date(Date.now() + (dead ? 0 : jobBackoffMs(job.attempts))),
+      },
+      $push: { failures: { $each: [{ attempt: job.attempts, message, at: new Date() }], $slice: -20 } },
+    });
+    if (dead) logger.error({ err, jobId: String(job._id), type: job.type }, `❌ Job ${job.type} moved to dead-letter after ${job.attempts} attempt(s)`);
+    else logger.warn({ err, jobId: String(job._id), type: job.type }, `Job ${job.type} failed (attempt ${job.attempts}/${job.maxAttempts}); retrying later`);
+  }
+};
+
+// Jobs run one at a time per instance; Puppeteer/PDF work is heavy enough that this is the intended throttle
+let jobWorkerBusy = false;
+const processJobs = async () => {
+  if (jobWorkerBusy || mongoose.connection.readyState !== 1) return;
+  jobWorkerBusy = true;
+  try {
+    await deadLetterStaleJobs();
+    let job;
+    while ((job = await claimNextJob())) await runJob(job);
+  } finally {
+    jobWorkerBusy = false;
+  }
+};
+
+const kickJobWorker = () => setImmediate(() => processJobs().catch((err) => logger.error({ err }, "❌ Job worker error")));
+
+// Creates the first owner account from ADMIN_USERNAME/ADMIN_PASSWORD when no admin exists yet
+const ensureBootstrapAdmin = async () => {
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return;
+  if (await AdminUser.countDocuments() > 0) return;
+
+  const passwordHash = await bcrypt.hash(ADMIN_PASSWORD, BCRYPT_ROUNDS);
+  await AdminUser.create({ username: ADMIN_USERNAME, passwordHash, role: "owner" });
+  logger.info(`Bootstrap owner account "${ADMIN_USERNAME}" created.`);
+};
+
+// Admin identity recorded in history entries and action logs
+const actorName = (req) => (req.admin ? req.admin.username : "admin");
+
+// Client Self-Service: sanitise a client's proposed edit down to the editable fields
+const pickClientEdits = (incoming = {}) => {
+  const changes = {};
+  for (const field of CLIENT_EDITABLE_FIELDS) {
+    if (incoming[field] !== undefined && incoming[field] !== null) changes[field] = String(incoming[field]).trim().substring(0, field === "bio" ? 2000 : 300);
+  }
+
+  // Nested objects arrive as JSON strings from multipart forms
+  const nested = { socialLinks: socialLinksSchema, workingHours: workingHoursSchema };
+  for (const [field, schema] of Object.entries(nested)) {
+    if (!incoming[field]) continue;
+    const value = typeof incoming[field] === "string" ? JSON.parse(incoming[field]) : incoming[field];
+    const picked = {};
+    Object.keys(schema.paths).forEach((key) => {
+      if (value[key] !== undefined && value[key] !== null) picked[key] = String(value[key]).trim().substring(0, 300);
+    });
+    if (Object.keys(picked).length) changes[field] = picked;
+  }
+  return changes;
+};
+
+// Client Self-Service: apply a sanitised edit (from pickClientEdits) to a client document
+const applyClientEdits = (client, changes) => {
+  for (const [field, value] of Object.entries(changes)) {
+    if (field === "socialLinks" || field === "workingHours") {
+      client[field] = { ...(client[field] ? client[field].toObject() : {}), ...value };
+    } else {
+      client[field] = value;
+    }
+  }
+};
+
+// Change Requests: field-level old/new values for a proposed edit (nested fields flattened to "socialLinks.facebook").
+// photoVariants always travel with photoUrl, so the photoUrl entry covers them.
+const buildChangeDiff = (client, changes) => {
+  const diff = [];
+  for (const [field, value] of Object.entries(changes)) {
+    if (field === "photoVariants") continue;
+    if (CLIENT_NESTED_FIELDS.includes(field)) {
+      const current = client[field] ? client[field].toObject() : {};
+      Object.entries(value).forEach(([key, next]) => {
+        if ((current[key] || "") !== next) diff.push({ field: `${field}.${key}`, old: current[key] || "", new: next });
+      });
+    } else if ((client[field] || "") !== value) {
+      diff.push({ field, old: client[field] || "", new: value });
+    }
+  }
+  return diff;
+};
+
+// Audit Trail: flat snapshot of the audited fields, nested values under dotted keys
+const snapshotClient = (client) => {
+  const snapshot = {};
+  CLIENT_AUDITED_FIELDS.forEach((field) => { snapshot[field] = client[field] ?? ""; });
+  const nestedSchemas = { socialLinks: socialLinksSchema, workingHours: workingHoursSchema };
+  CLIENT_NESTED_FIELDS.forEach((field) => {
+    const value = client[field] ? client[field].toObject() : {};
+    Object.keys(nestedSchemas[field].paths).forEach((key) => { snapshot[`${field}.${key}`] = value[key] ?? ""; });
+  });
+  return snapshot;
+};
+
+const diffSnapshots = (before, after) => Object.keys(after)
+  .filter((field) => String(before[field] ?? "") !== String(after[field] ?? ""))
+  .map((field) => ({ field, old: before[field] ?? "", new: after[field] ?? "" }));
+
+// Audit Trail: append a history entry with the before/after diff (when a snapshot is given), actor, IP and user agent.
+// Background jobs have no request, so they pass the originating ip/userAgent explicitly.
+const recordHistory = (client, req, { action, notes = "", actor, before = null, ip, userAgent }) => {
+  const changes = before ? diffSnapshots(before, snapshotClient(client)) : [];
+  client.history.push({
+    action,
+    notes,
+    actor: actor || actorName(req),
+    changes,
+    ip: ip ?? (req ? req.ip || "" : ""),
+    userAgent: userAgent ?? (req ? (req.get("user-agent") || "").substring(0, 300) : ""),
+  });
+  return changes;
+};
+
+// HTML escaping for server-rendered pages
+const escapeHtml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+// Minimal template renderer: {{key}} is HTML-escaped, {{{key}}} is inserted raw.
+// One pass over the template, so placeholder-like text inside inserted values is never substituted again.
+const renderTemplate = (template, vars) => template.replace(
+  /\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g,
+  (_, rawKey, key) => (rawKey ? (vars[rawKey] ?? "") : escapeHtml(vars[key]))
+);
+
+// Public-safe subset of a client record used by the card page (HTML and JSON)
+const publicCardData = (client) => ({
+  slug: client.slug,
+  fullName: client.fullName,
+  title: client.title,
+  company: client.company,
+  phone1: client.phone1,
+  phone2: client.phone2,
+  phone3: client.phone3,
+  email1: client.email1,
+  email2: client.email2,
+  email3: client.email3,
+  website: client.website || client.businessWebsite, // Consolidated
+  businessWebsite: client.businessWebsite,
+  portfolioWebsite: client.portfolioWebsite,
+  locationMap: client.locationMap,
+  address: client.address,
+  bio: client.bio,
+  photoUrl: client.photoUrl,
+  vcardUrl: client.vcardUrl,
+  qrCodeUrl: client.qrCodeUrl,
+  socialLinks: client.socialLinks,
+  workingHours: client.workingHours,
+});
+
+// Link-preview metadata (Open Graph, Twitter Card, schema.org JSON-LD) for a public card
+const buildCardMetaTags = (client) => {
+  const pageUrl = `${VCARD_BASE_URL}/${client.slug}`;
+  const headline = [client.title, client.company].filter(Boolean).join(" at ");
+  const description = (client.bio || headline || `Digital business card for ${client.fullName}`)
+    .replace(/\s+/g, " ")
+    .trim()
+    .substring(0, 200);
+  const image = `${pageUrl}/preview.png`; // Generated 1200x630 social preview (GET /:slug/preview.png)
+  const sameAs = Object.values((client.socialLinks && client.socialLinks.toObject) ? client.socialLinks.toObject() : (client.socialLinks || {}))
+    .filter(Boolean);
+  const website = client.website || client.businessWebsite;
+
+  const person = {
+    "@context": "https://schema.org",
+    "@type": "Person",
+    name: client.fullName,
+    url: pageUrl,
+    ...(client.title && { jobTitle: client.title }),
+    ...(client.company && { worksFor: { "@type": "Organization", name: client.company, ...(website && { url: website }) } }),
+    ...(client.email1 && { email: `mailto:${client.email1}` }),
+    ...(client.phone1 && { telephone: client.phone1 }),
+    ...(client.photoUrl && { image: client.photoUrl }),
+    ...(client.bio && { description }),
+    ...(client.address && { address: { "@type": "PostalAddress", streetAddress: client.address } }),
+    ...(sameAs.length && { sameAs }),
+  };
+
+  const meta = (attr, key, content) => (content ? `<meta ${attr}="${key}" content="${escapeHtml(content)}" />` : "");
+  return [
+    meta("name", "description", description),
+    `<link rel="canonical" href="${escapeHtml(pageUrl)}" />`,
+    meta("property", "og:type", "profile"),
+    meta("property", "og:site_name", "SmartCardLink"),
+    meta("property", "og:title", headline ? `${client.fullName} — ${headline}` : client.fullName),
+    meta("property", "og:description", description),
+    meta("property", "og:url", pageUrl),
+    meta("property", "og:image", image),
+    meta("property", "og:image:type", "image/png"),
+    meta("property", "og:image:width", String(PREVIEW_WIDTH)),
+    meta("property", "og:image:height", String(PREVIEW_HEIGHT)),
+    meta("property", "og:image:alt", `${client.fullName} — SmartCardLink card`),
+    meta("name", "twitter:card", "summary_large_image"),
+    meta("name", "twitter:title", client.fullName),
+    meta("name", "twitter:description", description),
+    meta("name", "twitter:image", image),
+    `<script type="application/ld+json">${JSON.stringify(person).replace(/</g, "\\u003c")}</script>`,
+  ].filter(Boolean).join("\n  ");
+};
+
+// Server-rendered public card page; public/js/vcard.js wires up the buttons from the embedded JSON
+const renderCardPage = (client) => {
+  const data = publicCardData(client);
+  const listHtml = (items) => {
+    const valid = items.filter((item) => item && item.trim());
+    if (!valid.length) return '<div class="list-item disabled">No additional contacts</div>';
+    return valid.map((item) => `<div class="list-item">${escapeHtml(item)}</div>`).join("");
+  };
+  const hours = data.workingHours || {};
+  const hoursRows = [
+    ["Mon–Fri", hours.monFriStart, hours.monFriEnd],
+    ["Sat", hours.satStart, hours.satEnd],
+    ["Sun", hours.sunStart, hours.sunEnd],
+  ];
+
+  return renderTemplate(CARD_PAGE_TEMPLATE, {
+    pageTitle: `${data.fullName} — SmartCardLink`,
+    metaTags: buildCardMetaTags(client),
+    photoHtml: data.photoUrl
+      ? `<img src="${escapeHtml(data.photoUrl)}" alt="${escapeHtml(data.fullName)}">`
+      : '<div class="not-provided">Photo not provided</div>',
+    fullName: data.fullName,
+    company: data.company,
+    title: data.title,
+    phoneMain: data.phone1 || "Not Provided",
+    emailMain: data.email1 || "Not Provided",
+    phoneListHtml: listHtml([data.phone2, data.phone3]),
+    emailListHtml: listHtml([data.email2, data.email3]),
+    bio: data.bio || "No bio provided.",
+    hoursRowsHtml: hoursRows
+      .map(([label, start, end]) => `<tr><td>${label}</td><td>${escapeHtml(start || "-")}</td><td>${escapeHtml(end || "-")}</td></tr>`)
+      .join(""),
+    // Escape "<" so client data can never close the script tag early
+    cardJson: JSON.stringify(data).replace(/</g, "\\u003c"),
+  });
+};
+
+// Brand palette shared by generated documents
+const BRAND_GOLD = "#FFD700";
+const BRAND_DARK = "#111111";
+const BRAND_MUTED = "#555555";
+
+// Collects a pdfkit document into a Buffer
+const pdfToBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  doc.on("end", () => resolve(Buffer.concat(chunks)));
+  doc.on("error", reject);
+  doc.end();
+});
+
+// PDF Client Info Sheet (A4): photo, contacts, social links, working hours, bio and QR
+const generateClientPdf = async (client) => {
+  const publicVcardPage = `${VCARD_BASE_URL}/${client.slug}`;
+  const [photo, qrPng] = await Promise.all([
+    readImage(cardPhotoUrl(client)),
+    qrcode.toBuffer(cardQrTarget(client), { errorCorrectionLevel: "M", margin: 1, width: 300 }),
+  ]);
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 50,
+    bufferPages: true,
+    info: { Title: `Client Info - ${client.fullName}`, Author: "SmartCardLink" },
+  });
+  const pageWidth = doc.page.width;
+  const left = doc.page.margins.left;
+  const contentWidth = pageWidth - left - doc.page.margins.right;
+
+  // Header band
+  doc.rect(0, 0, pageWidth, 80).fill(BRAND_DARK);
+  doc.fillColor(BRAND_GOLD).font("Helvetica-Bold").fontSize(24).text("SMARTCARDLINK", left, 28);
+  doc.fillColor("#FFFFFF").font("Helvetica").fontSize(10)
+    .text("Client Information Sheet", left, 34, { width: contentWidth, align: "right" });
+
+  // Identity block: photo | name, title, company | QR
+  const blockTop = 110;
+  if (photo) {
+    try {
+      doc.save().circle(left + 60, blockTop + 60, 60).clip();
+      doc.image(photo, left, blockTop, { width: 120, height: 120, cover: [120, 120], align: "center", valign: "center" });
+      doc.restore();
+    } catch (e) {
+      doc.restore();
+      logger.warn({ error: e.message, photoUrl: client.photoUrl }, "Unsupported photo format for PDF. Proceeding without image.");
+    }
+  }
+  doc.circle(left + 60, blockTop + 60, 60).lineWidth(2).stroke(BRAND_GOLD);
+
+  doc.image(qrPng, pageWidth - doc.page.margins.right - 110, blockTop, { width: 110 });
+  doc.fillColor(BRAND_MUTED).fontSize(7)
+    .text("Scan for digital card", pageWidth - doc.page.margins.right - 110, blockTop + 112, { width: 110, align: "center" });
+
+  const textLeft = left + 140;
+  const textWidth = contentWidth - 140 - 125;
+  doc.fillColor(BRAND_DARK).font("Helvetica-Bold").fontSize(20).text(client.fullName || "", textLeft, blockTop + 15, { width: textWidth });
+  doc.font("Helvetica").fontSize(12).fillColor(BRAND_MUTED);
+  if (client.title) doc.text(client.title, { width: textWidth });
+  if (client.company) doc.text(client.company, { width: textWidth });
+  doc.moveDown(0.5).fontSize(9).text(`Status: ${client.status}`, { width: textWidth });
+
+  // Section helpers
+  let y = blockTop + 150;
+  const section = (title) => {
+    doc.rect(left, y, contentWidth, 20).fill(BRAND_DARK);
+    doc.fillColor(BRAND_GOLD).font("Helvetica-Bold").fontSize(11).text(title, left + 8, y + 5);
+    y += 28;
+  };
+  const row = (label, value) => {
+    if (!value) return;
+    doc.fillColor(BRAND_MUTED).font("Helvetica-Bold").fontSize(10).text(label, left + 8, y, { width: 120 });
+    doc.fillColor(BRAND_DARK).font("Helvetica").text(value, left + 130, y, { width: contentWidth - 138 });
+    y = Math.max(doc.y, y + 14) + 2;
+  };
+  const ensureSpace = (needed) => {
+    if (y + needed > doc.page.height - doc.page.margins.bottom - 30) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+  };
+
+  section("Contact Details");
+  row("Phone 1", client.phone1);
+  row("Phone 2", client.phone2);
+  row("Phone 3", client.phone3);
+  row("Email 1", client.email1);
+  row("Email 2", client.email2);
+  row("Email 3", client.email3);
+
+  ensureSpace(120);
+  section("Business Details");
+  row("Company", client.company);
+  row("Website", client.website);
+  row("Business Website", client.businessWebsite);
+  row("Portfolio Website", client.portfolioWebsite);
+  row("Location Map", client.locationMap);
+  row("Address", client.address);
+
+  const socialLinks = Object.entries((client.socialLinks && client.socialLinks.toObject) ? client.socialLinks.toObject() : (client.socialLinks || {}))
+    .filter(([_, url]) => url);
+  if (socialLinks.length) {
+    ensureSpace(40 + socialLinks.length * 16);
+    section("Social Links");
+    socialLinks.forEach(([platform, url]) => row(platform.charAt(0).toUpperCase() + platform.slice(1), url));
+  }
+
+  const hours = client.workingHours || {};
+  const hoursRows = [
+    ["Mon - Fri", hours.monFriStart, hours.monFriEnd],
+    ["Saturday", hours.satStart, hours.satEnd],
+    ["Sunday", hours.sunStart, hours.sunEnd],
+  ];
+  ensureSpace(90);
+  section("Working Hours");
+  hoursRows.forEach(([label, start, end]) => row(label, start || end ? `${start || "-"} to ${end || "-"}` : "Closed"));
+
+  if (client.bio) {
+    ensureSpace(80);
+    section("Bio");
+    doc.fillColor(BRAND_DARK).font("Helvetica").fontSize(10).text(client.bio, left + 8, y, { width: contentWidth - 16, align: "justify" });
+    y = doc.y + 10;
+  }
+
+  // Footer on every page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const footerY = doc.page.height - 40;
+    doc.fillColor(BRAND_MUTED).font("Helvetica").fontSize(8)
+      .text(`Public Page: ${publicVcardPage}`, left, footerY, { width: contentWidth / 2, lineBreak: false })
+      .text(`Record ${client._id} | Generated ${new Date().toISOString().slice(0, 10)}`, left + contentWidth / 2, footerY, { width: contentWidth / 2, align: "right", lineBreak: false });
+  }
+
+  return pdfToBuffer(doc);
+};
+
+
+// Print Card Templates: colours and layout choices for each selectable cardDesign
+const CARD_TEMPLATES = {
+  classic: { label: "Classic Black & Gold", background: BRAND_DARK, text: "#FFFFFF", subtext: "#CCCCCC", accent: BRAND_GOLD, photo: "left", backBackground: BRAND_DARK },
+  light: { label: "Light Professional", background: "#FFFFFF", text: BRAND_DARK, subtext: BRAND_MUTED, accent: BRAND_GOLD, photo: "right", backBackground: "#F5F5F5" },
+  minimal: { label: "Minimal (No Photo)", background: "#FFFFFF", text: BRAND_DARK, subtext: BRAND_MUTED, accent: BRAND_DARK, photo: null, backBackground: "#FFFFFF" },
+};
+
+// Loads everything a printed card face needs (photo bytes + high resolution QRs) once per client
+const loadCardAssets = async (client) => {
+  const publicVcardPage = `${VCARD_BASE_URL}/${client.slug}`;
+  // The offline QR is printed once it has been generated, re-encoded at print resolution
+  const offlineQr = client.offlineQrCodeUrl && client.offlineQr && client.offlineQr.enabled ? buildOfflineQr(client) : null;
+  const [photo, qrPng, offlineQrPng] = await Promise.all([
+    readImage(cardPhotoUrl(client)),
+    qrcode.toBuffer(cardQrTarget(client), { errorCorrectionLevel: "Q", margin: 0, width: 600 }),
+    offlineQr && qrcode.toBuffer(offlineQr.payload, { errorCorrectionLevel: offlineQr.errorCorrectionLevel, margin: 0, width: 600 }),
+  ]);
+  return { photo, qrPng, offlineQrPng, publicVcardPage };
+};
+
+// Draws one card face with its trim box at (x, y); backgrounds extend into the bleed.
+// `bleeds` limits how far each edge may bleed (imposed sheets butt neighbouring cards together).
+const drawCardFace = (doc, side, client, template, assets, x, y, bleeds = {}) => {
+  const bleedX = x - CARD_BLEED;
+  const bleedY = y - CARD_BLEED;
+  const bleedW = CARD_TRIM_W + CARD_BLEED * 2;
+  const bleedH = CARD_TRIM_H + CARD_BLEED * 2;
+  const safe = 4 * MM; // Keep text/graphics inside the safe area
+  const { top = CARD_BLEED, right = CARD_BLEED, bottom = CARD_BLEED, left = CARD_BLEED } = bleeds;
+
+  doc.save();
+  doc.rect(x - left, y - top, CARD_TRIM_W + left + right, CARD_TRIM_H + top + bottom).clip();
+
+  if (side === "front") {
+    doc.rect(bleedX, bleedY, bleedW, bleedH).fill(template.background);
+    doc.rect(bleedX, y + CARD_TRIM_H - 3 * MM, bleedW, 3 * MM + CARD_BLEED).fill(template.accent);
+
+    const photoSize = 26 * MM;
+    let textX = x + safe;
+    let textW = CARD_TRIM_W - safe * 2;
+    if (template.photo && assets.photo) {
+      const photoX = template.photo === "left" ? x + safe : x + CARD_TRIM_W - safe - photoSize;
+      const photoY = y + (CARD_TRIM_H - 3 * MM - photoSize) / 2;
+      try {
+        doc.save().circle(photoX + photoSize / 2, photoY + photoSize / 2, photoSize / 2).clip();
+        doc.image(assets.photo, photoX, photoY, { cover: [photoSize, photoSize], align: "center", valign: "center" });
+        doc.restore();
+        doc.circle(photoX + photoSize / 2, photoY + photoSize / 2, photoSize / 2).lineWidth(1).stroke(template.accent);
+        textW -= photoSize + 3 * MM;
+        if (template.photo === "left") textX += photoSize + 3 * MM;
+      } catch (e) {
+        doc.restore();
+        logger.warn({ error: e.message, photoUrl: client.photoUrl }, "Unsupported photo format for card. Proceeding without image.");
+      }
+    }
+
+    const align = template.photo ? "left" : "center";
+    doc.fillColor(template.text).font("Helvetica-Bold").fontSize(11)
+      .text(client.fullName || "", textX, y + 14 * MM, { width: textW, align, lineBreak: false, ellipsis: true });
+    doc.fillColor(template.accent === BRAND_DARK ? template.subtext : template.accent).font("Helvetica").fontSize(8);
+    if (client.title) doc.text(client.title, { width: textW, align, lineBreak: false, ellipsis: true });
+    doc.fillColor(template.subtext).fontSize(8);
+    if (client.company) doc.text(client.company, { width: textW, align, lineBreak: false, ellipsis: true });
+  } else {
+    doc.rect(bleedX, bleedY, bleedW, bleedH).fill(template.backBackground);
+
+    const qrSize = 30 * MM;
+    const qrPad = 2 * MM; // White quiet zone so the QR scans on dark backs
+    const qrY = y + safe;
+    const labelColor = template.backBackground === BRAND_DARK ? BRAND_GOLD : BRAND_DARK;
+    // With an offline QR, the two sit side by side, each captioned
+    const qrs = assets.offlineQrPng
+      ? [[assets.qrPng, "Open my card"], [assets.offlineQrPng, "Save contact (offline)"]]
+      : [[assets.qrPng, null]];
+    const gap = 8 * MM;
+    const rowX = x + (CARD_TRIM_W - (qrs.length * qrSize + (qrs.length - 1) * gap)) / 2;
+    qrs.forEach(([png, caption], i) => {
+      const qrX = rowX + i * (qrSize + gap);
+      doc.roundedRect(qrX - qrPad, qrY - qrPad, qrSize + qrPad * 2, qrSize + qrPad * 2, 1.5 * MM).fill("#FFFFFF");
+      doc.image(png, qrX, qrY, { width: qrSize, height: qrSize });
+      if (caption) {
+        doc.fillColor(labelColor).font("Helvetica").fontSize(5.5)
+          .text(caption, qrX - qrPad, qrY + qrSize + qrPad + 1 * MM, { width: qrSize + qrPad * 2, align: "center", lineBreak: false });
+      }
+    });
+
+    const labelY = qrY + qrSize + (assets.offlineQrPng ? 7 * MM : 4 * MM);
+    doc.fillColor(labelColor).font("Helvetica-Bold").fontSize(7)
+      .text("SMARTCARDLINK", x + safe, labelY, { width: CARD_TRIM_W - safe * 2, align: "center", characterSpacing: 1.5, lineBreak: false });
+    doc.font("Helvetica").fontSize(5.5)
+      .text(assets.publicVcardPage.replace(/^https?:\/\//, ""), { width: CARD_TRIM_W - safe * 2, align: "center", lineBreak: false, ellipsis: true });
+  }
+
+  doc.restore();
+};
+
+// Crop marks at the trim corners of a card placed at (x, y), drawn outside the bleed
+const drawCropMarks = (doc, x, y, length = 5 * MM) => {
+  const offset = CARD_BLEED + 1 * MM;
+  const xs = [x, x + CARD_TRIM_W];
+  const ys = [y, y + CARD_TRIM_H];
+
+  doc.save().lineWidth(0.25).strokeColor("#000000");
+  xs.forEach((cx) => {
+    doc.moveTo(cx, y - offset).lineTo(cx, y - offset - length).stroke();
+    doc.moveTo(cx, y + CARD_TRIM_H + offset).lineTo(cx, y + CARD_TRIM_H + offset + length).stroke();
+  });
+  ys.forEach((cy) => {
+    doc.moveTo(x - offset, cy).lineTo(x - offset - length, cy).stroke();
+    doc.moveTo(x + CARD_TRIM_W + offset, cy).lineTo(x + CARD_TRIM_W + offset + length, cy).stroke();
+  });
+  doc.restore();
+};
+
+// Print-ready single card PDF: page 1 front, page 2 back, each with bleed and crop marks
+const generatePrintCardPdf = async (client, design) => {
+  const template = CARD_TEMPLATES[design] || CARD_TEMPLATES.classic;
+  const assets = await loadCardAssets(client);
+  const margin = CARD_BLEED + CARD_SLUG;
+  const pageSize = [CARD_TRIM_W + margin * 2, CARD_TRIM_H + margin * 2];
+
+  const doc = new PDFDocument({
+    size: pageSize,
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: `Print Card - ${client.fullName}`, Author: "SmartCardLink" },
+  });
+
+  ["front", "back"].forEach((side) => {
+    doc.addPage({ size: pageSize, margin: 0 });
+    drawCardFace(doc, side, client, template, assets, margin, margin);
+    drawCropMarks(doc, margin, margin);
+  });
+
+  return pdfToBuffer(doc);
+};
+
+
+// Imposition grid for a sheet: how many cards fit and where each trim box sits (centred on the sheet)
+const computeSheetLayout = (sheet, gutter) => {
+  const [sheetW, sheetH] = SHEET_SIZES[sheet];
+  const pitchX = CARD_TRIM_W + gutter;
+  const pitchY = CARD_TRIM_H + gutter;
+  const cols = Math.floor((sheetW - SHEET_MARGIN * 2 + gutter) / pitchX);
+  const rows = Math.floor((sheetH - SHEET_MARGIN * 2 + gutter) / pitchY);
+  const offsetX = (sheetW - (cols * pitchX - gutter)) / 2;
+  const offsetY = (sheetH - (rows * pitchY - gutter)) / 2;
+
+  return {
+    sheetW, sheetH, cols, rows, perSheet: cols * rows,
+    position: (col, row) => ({ x: offsetX + col * pitchX, y: offsetY + row * pitchY }),
+  };
+};
+
+// Crop marks for an imposed sheet: one mark per cut line, drawn in the sheet margin
+const drawSheetCropMarks = (doc, layout, length = 5 * MM) => {
+  const offset = CARD_BLEED + 1 * MM;
+  const first = layout.position(0, 0);
+  const last = layout.position(layout.cols - 1, layout.rows - 1);
+  const top = first.y;
+  const bottom = last.y + CARD_TRIM_H;
+  const leftEdge = first.x;
+  const rightEdge = last.x + CARD_TRIM_W;
+  const cutsX = new Set();
+  const cutsY = new Set();
+
+  for (let col = 0; col < layout.cols; col++) {
+    const { x } = layout.position(col, 0);
+    cutsX.add(x.toFixed(3));
+    cutsX.add((x + CARD_TRIM_W).toFixed(3));
+  }
+  for (let row = 0; row < layout.rows; row++) {
+    const { y } = layout.position(0, row);
+    cutsY.add(y.toFixed(3));
+    cutsY.add((y + CARD_TRIM_H).toFixed(3));
+  }
+
+  doc.save().lineWidth(0.25).strokeColor("#000000");
+  cutsX.forEach((value) => {
+    const cx = Number(value);
+    doc.moveTo(cx, top - offset).lineTo(cx, top - offset - length).stroke();
+    doc.moveTo(cx, bottom + offset).lineTo(cx, bottom + offset + length).stroke();
+  });
+  cutsY.forEach((value) => {
+    const cy = Number(value);
+    doc.moveTo(leftEdge - offset, cy).lineTo(leftEdge - offset - length, cy).stroke();
+    doc.moveTo(rightEdge + offset, cy).lineTo(rightEdge + offset + length, cy).stroke();
+  });
+  doc.restore();
+};
+
+// Batch imposition PDF: fronts page then backs page per sheet, backs positioned for duplex printing.
+// gutter 0 butts cards together on shared cuts (10-up A4); a gutter >= 2x bleed gives every card full bleed.
+const generateImposedSheetPdf = async (clients, { sheet = "A4", gutter = 0, duplex = "long-edge", design = null } = {}) => {
+  const layout = computeSheetLayout(sheet, gutter);
+  const cardBleed = Math.min(CARD_BLEED, gutter / 2);
+
+  const doc = new PDFDocument({
+    size: [layout.sheetW, layout.sheetH],
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: `Imposed Cards - ${clients.length} clients (${sheet})`, Author: "SmartCardLink" },
+  });
+
+  for (let start = 0; start < clients.length; start += layout.perSheet) {
+    const batch = clients.slice(start, start + layout.perSheet);
+    const assets = await Promise.all(batch.map(loadCardAssets));
+
+    ["front", "back"].forEach((side) => {
+      doc.addPage({ size: [layout.sheetW, layout.sheetH], margin: 0 });
+
+      batch.forEach((client, index) => {
+        let col = index % layout.cols;
+        let row = Math.floor(index / layout.cols);
+        const flipped = side === "back" && duplex === "short-edge";
+
+        // Mirror back positions so each back lands behind its front after the sheet is turned
+        if (side === "back") {
+          if (duplex === "short-edge") row = layout.rows - 1 - row;
+          else col = layout.cols - 1 - col;
+        }
+
+        const { x, y } = layout.position(col, row);
+        const bleeds = {
+          top: row === 0 ? CARD_BLEED : cardBleed,
+          bottom: row === layout.rows - 1 ? CARD_BLEED : cardBleed,
+          left: col === 0 ? CARD_BLEED : cardBleed,
+          right: col === layout.cols - 1 ? CARD_BLEED : cardBleed,
+        };
+        const template = CARD_TEMPLATES[design || client.cardDesign] || CARD_TEMPLATES.classic;
+
+        doc.save();
+        if (flipped) doc.rotate(180, { origin: [x + CARD_TRIM_W / 2, y + CARD_TRIM_H / 2] });
+        drawCardFace(doc, side, client, template, assets[index], x, y, flipped
+          ? { top: bleeds.bottom, bottom: bleeds.top, left: bleeds.right, right: bleeds.left }
+          : bleeds);
+        doc.restore();
+      });
+
+      drawSheetCropMarks(doc, layout);
+    });
+  }
+
+  return pdfToBuffer(doc);
+};
+
+
+// Social Preview Image: shared headless browser, render queue and per-record cache
+let previewBrowserPromise = null;
+const previewSemaphore = new Semaphore(PREVIEW_CONCURRENCY);
+const previewCache = new Map(); // key: `${clientId}:${updatedAt}` -> PNG buffer (insertion-ordered for eviction)
+
+const getPreviewBrowser = () => {
+  if (!previewBrowserPromise) {
+    // PUPPETEER_EXECUTABLE_PATH (set in the Dockerfile) points Puppeteer at the system Chromium
+    previewBrowserPromise = puppeteer.launch({
+      headless: true,
+      args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage"],
+    }).then((browser) => {
+      browser.on("disconnected", () => { previewBrowserPromise = null; });
+      return browser;
+    }).catch((err) => {
+      previewBrowserPromise = null;
+      throw err;
+    });
+  }
+  return previewBrowserPromise;
+};
+
+// 1200x630 preview layout: photo, name, title, company and QR on the brand background
+const renderPreviewHtml = (client, photoDataUrl, qrDataUrl) => `<!doctype html>
+<html><head><meta charset="utf-8"><style>
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { width: ${PREVIEW_WIDTH}px; height: ${PREVIEW_HEIGHT}px; font-family: "Liberation Sans", Arial, sans-serif;
+    background: linear-gradient(135deg, ${BRAND_DARK} 0%, #1f1f1f 100%); color: #fff; display: flex; align-items: center; padding: 0 80px; gap: 60px; position: relative; }
+  .photo { width: 300px; height: 300px; border-radius: 50%; border: 8px solid ${BRAND_GOLD}; object-fit: cover; flex: none; background: #333; }
+  .info { flex: 1; min-width: 0; }
+  .brand { color: ${BRAND_GOLD}; font-size: 26px; font-weight: 700; letter-spacing: 6px; margin-bottom: 28px; }
+  .name { font-size: 64px; font-weight: 700; line-height: 1.1; overflow-wrap: anywhere; }
+  .title { color: ${BRAND_GOLD}; font-size: 34px; margin-top: 18px; }
+  .company { color: #ccc; font-size: 30px; margin-top: 10px; }
+  .qr { width: 190px; height: 190px; background: #fff; padding: 12px; border-radius: 12px; flex: none; }
+  .bar { position: absolute; left: 0; right: 0; bottom: 0; height: 16px; background: ${BRAND_GOLD}; }
+</style></head><body>
+  ${photoDataUrl ? `<img class="photo" src="${photoDataUrl}">` : ""}
+  <div class="info">
+    <div class="brand">SMARTCARDLINK</div>
+    <div class="name">${escapeHtml(client.fullName)}</div>
+    ${client.title ? `<div class="title">${escapeHtml(client.title)}</div>` : ""}
+    ${client.company ? `<div class="company">${escapeHtml(client.company)}</div>` : ""}
+  </div>
+  <img class="qr" src="${qrDataUrl}">
+  <div class="bar"></div>
+</body></html>`;
+
+// Renders (or returns the cached) preview PNG; the cache key changes whenever the record's updatedAt does
+const generatePreviewImage = async (client) => {
+  const cacheKey = `${client._id}:${new Date(client.updatedAt).getTime()}`;
+  if (previewCache.has(cacheKey)) return previewCache.get(cacheKey);
+
+  const [photo, qrDataUrl] = await Promise.all([
+    readImage(cardPhotoUrl(client)),
+    qrcode.toDataURL(cardQrTarget(client), { errorCorrectionLevel: "M", margin: 0, width: 400 }),
+  ]);
+  const photoType = imageMimeType(photo);
+  // Chromium cannot display HEIC
+  const photoDataUrl = photoType && photoType !== "image/heic" ? `data:${photoType};base64,${photo.toString("base64")}` : null;
+
+  const png = await previewSemaphore.use(async () => {
+    const browser = await getPreviewBrowser();
+    const page = await browser.newPage();
+    try {
+      await page.setViewport({ width: PREVIEW_WIDTH, height: PREVIEW_HEIGHT });
+      await page.setContent(renderPreviewHtml(client, photoDataUrl, qrDataUrl), { waitUntil: "load", timeout: 15000 });
+      return Buffer.from(await page.screenshot({ type: "png" }));
+    } finally {
+      await page.close().catch(() => {});
+    }
+  });
+
+  // Drop stale renders of the same client, then evict the oldest entry when full
+  for (const key of previewCache.keys()) {
+    if (key.startsWith(`${client._id}:`)) previewCache.delete(key);
+  }
+  if (previewCache.size >= PREVIEW_CACHE_SIZE) previewCache.delete(previewCache.keys().next().value);
+  previewCache.set(cacheKey, png);
+  return png;
+};
+
+// Card Analytics: coarse device class from the User-Agent
+const detectDeviceType = (userAgent = "") => {
+  if (!userAgent) return "unknown";
+  if (/bot|crawl|spider|facebookexternalhit|whatsapp|slackbot|linkedinbot|twitterbot|telegrambot|discordbot|preview/i.test(userAgent)) return "bot";
+  if (/ipad|tablet|playbook|silk|(android(?!.*mobile))/i.test(userAgent)) return "tablet";
+  if (/mobi|iphone|ipod|android|blackberry|opera mini|iemobile/i.test(userAgent)) return "mobile";
+  return "desktop";
+};
+
+// Card Analytics: salted hash so unique visitors can be counted without storing IPs
+const hashIp = (ip) => (ip ? crypto.createHash("sha256").update(`${ANALYTICS_SALT || ""}:${ip}`).digest("hex").substring(0, 32) : "");
+
+// Card Analytics: persist one event. Never throws; analytics must not break the public page.
+const recordCardEvent = async (req, client, type, action = null, referrer = req.get("referer") || "") => {
+  try {
+    let referrerHost = "";
+    try {
+      referrerHost = referrer ? new URL(referrer).hostname : "";
+    } catch (e) {
+      referrerHost = "";
+    }
+    await CardEvent.create({
+      client: client._id,
+      slug: client.slug,
+      type,
+      action,
+      referrer: String(referrer).substring(0, 500),
+      referrerHost,
+      deviceType: detectDeviceType(req.get("user-agent")),
+      ipHash: hashIp(req.ip),
+    });
+  } catch (err) {
+    logger.warn({ err: err.message, clientId: client._id, type, action }, "Failed to record card event");
+  }
+};
+
+// Card Analytics: parse ?from=&to= (YYYY-MM-DD or ISO), defaulting to the last 30 days
+const parseDateRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) throw new RangeError("Invalid date range.");
+  if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) to.setUTCHours(23, 59, 59, 999); // Inclusive end day
+  if (from > to) throw new RangeError("'from' must be before 'to'.");
+  if (to - from > 366 * 24 * 60 * 60 * 1000) throw new RangeError("Date range cannot exceed 366 days.");
+  return { from, to };
+};
+
+// Card Analytics: daily counts, totals, top actions and top referrers for one client (bots excluded)
+const aggregateCardEvents = async (clientId, from, to) => {
+  const match = { client: new mongoose.Types.ObjectId(String(clientId)), createdAt: { $gte: from, $lte: to }, deviceType: { $ne: "bot" } };
+
+  const [daily, totals, topActions, topReferrers, devices] = await Promise.all([
+    CardEvent.aggregate([
+      { $match: match },
+      { $group: { _id: { day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: ANALYTICS_TIMEZONE } }, type: "$type" }, count: { $sum: 1 } } },
+      { $group: { _id: "$_id.day", counts: { $push: { k: "$_id.type", v: "$count" } } } },
+      { $project: { _id: 0, date: "$_id", counts: { $arrayToObject: "$counts" } } },
+      { $sort: { date: 1 } },
+    ]),
+    CardEvent.aggregate([
+      { $match: match },
+      { $group: { _id: "$type", count: { $sum: 1 }, visitors: { $addToSet: "$ipHash" } } },
+      { $project: { _id: 0, type: "$_id", count: 1, uniqueVisitors: { $size: "$visitors" } } },
+    ]),
+    CardEvent.aggregate([
+      { $match: { ...match, type: "tap" } },
+      { $group: { _id: "$action", count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 10 },
+      { $project: { _id: 0, action: "$_id", count: 1 } },
+    ]),
+    CardEvent.aggregate([
+      { $match: { ...match, type: "view", referrerHost: { $ne: "" } } },
+      { $group: { _id: "$referrerHost", count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 10 },
+      { $project: { _id: 0, referrer: "$_id", count: 1 } },
+    ]),
+    CardEvent.aggregate([
+      { $match: { ...match, type: "view" } },
+      { $group: { _id: "$deviceType", count: { $sum: 1 } } },
+      { $project: { _id: 0, deviceType: "$_id", count: 1 } },
+    ]),
+  ]);
+
+  // Fill empty days so charts get a continuous series
+  const byDate = new Map(daily.map((d) => [d.date, d.counts]));
+  const series = [];
+  const dayFormatter = new Intl.DateTimeFormat("en-CA", { timeZone: ANALYTICS_TIMEZONE, year: "numeric", month: "2-digit", day: "2-digit" });
+  for (let t = from.getTime(); t <= to.getTime() + 24 * 60 * 60 * 1000; t += 24 * 60 * 60 * 1000) {
+    const date = dayFormatter.format(new Date(t));
+    if (series.length && series[series.length - 1].date === date) continue;
+    if (date > dayFormatter.format(to)) break;
+    const counts = byDate.get(date) || {};
+    series.push({ date, view: counts.view || 0, vcard_download: counts.vcard_download || 0, tap: counts.tap || 0 });
+  }
+
+  const totalsByType = Object.fromEntries(CARD_EVENT_TYPES.map((type) => [type, { count: 0, uniqueVisitors: 0 }]));
+  totals.forEach((t) => { totalsByType[t.type] = { count: t.count, uniqueVisitors: t.uniqueVisitors }; });
+
+  return { from, to, timezone: ANALYTICS_TIMEZONE, totals: totalsByType, daily: series, topActions, topReferrers, devices };
+};
 
 // ------------------------
 // Middleware
@@ -327,7 +3182,7 @@ app.use(
       styleSrc: ["'self'", "https://fonts.googleapis.com", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
       styleSrcElem: ["'self'", "https://fonts.googleapis.com", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
       // CRITICAL FIX: Ensure all necessary image sources are included.
-      imgSrc: ["'self'", "data:", "res.cloudinary.com", "https://res.cloudinary.com"], 
+      imgSrc: ["'self'", "data:", "res.cloudinary.com", "https://res.cloudinary.com", storage.publicOrigin], 
       // CRITICAL: Updated connectSrc to include all necessary domains from .env
       connectSrc: [
         "'self'", 
@@ -397,11 +3252,102 @@ const publicLimiter = RateLimit({
 });
 
 
+// Stricter limiter for login attempts
+const loginLimiter = RateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: "Too many login attempts, please try again later.",
+  legacyHeaders: false,
+  standardHeaders: true,
+});
+
+// Public analytics beacons from the card page
+const eventLimiter = RateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  message: "Too many events, please slow down.",
+  legacyHeaders: false,
+  standardHeaders: true,
+});
+
+if (!ANALYTICS_SALT) {
+  logger.warn("ANALYTICS_SALT (or JWT_SECRET) missing. Visitor IP hashes will be unsalted.");
+}
+
+if (!JWT_SECRET) {
+  logger.warn("JWT_SECRET missing. Admin login and all protected admin routes will be unavailable.");
+}
+
+// Auth: verify the Bearer token and attach the (still active) admin to req.admin
+const protect = async (req, res, next) => {
+  const header = req.headers.authorization || "";
+  if (!header.startsWith("Bearer ")) return respError(res, "Not authorized, no token.", 401);
+  if (!JWT_SECRET) return respError(res, "Admin authentication is not configured.", 503);
+
+  try {
+    const decoded = jwt.verify(header.split(" ")[1], JWT_SECRET, { audience: JWT_AUDIENCES.admin });
+    const admin = await AdminUser.findById(decoded.id);
+    if (!admin || !admin.active) return respError(res, "Not authorized, account disabled.", 401);
+
+    req.admin = { id: admin._id.toString(), username: admin.username, role: admin.role };
+    return next();
+  } catch (err) {
+    logger.warn({ err: err.message }, "Admin token verification failed");
+    return respError(res, "Not authorized, token failed.", 401);
+  }
+};
+
+// Auth: restrict a route to the given roles (must run after protect)
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.admin || !roles.includes(req.admin.role)) {
+    return respError(res, "Forbidden: insufficient role for this action.", 403);
+  }
+  return next();
+};
+
+const canView = [protect, authorize("owner", "operator", "viewer")];
+const canEdit = [protect, authorize("owner", "operator")];
+const ownerOnly = [protect, authorize("owner")];
+
+// Client Auth: verify a client Bearer token with one of the given scopes and attach that client's record to req.client
+const protectClient = (...scopes) => async (req, res, next) => {
+  const header = req.headers.authorization || "";
+  if (!header.startsWith("Bearer ")) return respError(res, "Not authorized, no token.", 401);
+  if (!JWT_SECRET) return respError(res, "Client authentication is not configured.", 503);
+
+  try {
+    const decoded = jwt.verify(header.split(" ")[1], JWT_SECRET, { audience: JWT_AUDIENCES.client });
+    if (!mongoose.isValidObjectId(decoded.clientId)) return respError(res, "Not authorized, invalid token.", 401);
+    if (!scopes.includes(decoded.scope)) return respError(res, "Forbidden: this link does not allow that action.", 403);
+    const client = await Client.findById(decoded.clientId);
+    if (!client || client.status === "Deleted") return respError(res, "Not authorized, card unavailable.", 401);
+
+    req.client = client;
+    return next();
+  } catch (err) {
+    logger.warn({ err: err.message }, "Client token verification failed");
+    return respError(res, "Not authorized, token failed.", 401);
+  }
+};
+
+
 // ------------------------
 // Static File Serving
 // ------------------------
 app.use(express.static(staticPath));
 
+// Uploaded photos and vCards when they are kept on local disk (STORAGE_DRIVER=local)
+if (storage.name === "local") {
+  app.use(STORAGE_LOCAL_ROUTE, express.static(STORAGE_LOCAL_DIR, {
+    index: false,
+    dotfiles: "deny",
+    setHeaders: (res) => res.setHeader("X-Content-Type-Options", "nosniff"),
+  }));
+}
+
+// Card page stylesheet lives at the project root alongside index.html
+app.get("/style.css", (req, res) => res.sendFile(path.join(__dirname, "style.css")));
+
 // Favicon check to avoid 404 noise
 app.get("/favicon.ico", (req, res) => {
     const icoPath = path.join(staticPath, "favicon.ico");
@@ -409,30 +3355,131 @@ app.get("/favicon.ico", (req, res) => {
     return res.status(204).end();
 });
 
-// ------------------------
-// API Routes
-// ------------------------
+// ------------------------
+// API Routes
+// ------------------------
+
+// POST /api/admin/login: Exchange username/password for a JWT session
+app.post("/api/admin/login", loginLimiter, async (req, res) => {
+  try {
+    if (!JWT_SECRET) return respError(res, "Admin authentication is not configured.", 503);
+
+    const { username, password } = req.body || {};
+    if (!username || !password) return respError(res, "Username and password are required.", 400);
+
+    const admin = await AdminUser.findOne({ username: String(username).trim().toLowerCase() });
+    const valid = admin && admin.active && await bcrypt.compare(String(password), admin.passwordHash);
+    if (!valid) {
+      await logAction("system", "ADMIN_LOGIN_FAILED", null, `Failed login for ${username}`, { ip: req.ip });
+      return respError(res, "Invalid username or password.", 401);
+    }
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    const token = jwt.sign({ id: admin._id.toString(), username: admin.username, role: admin.role }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN, audience: JWT_AUDIENCES.admin });
+    await logAction(admin.username, "ADMIN_LOGIN", null, "Admin logged in", { ip: req.ip });
+
+    return respSuccess(res, { token, expiresIn: JWT_EXPIRES_IN, admin }, "Logged in successfully");
+  } catch (err) {
+    logger.error({ err }, "❌ POST /api/admin/login error");
+    return respError(res, "Server error during login.", 500, null, err);
+  }
+});
+
+
+// GET /api/admin/me: Current admin identity (used by the dashboards to validate a stored token)
+app.get("/api/admin/me", publicLimiter, canView, (req, res) => {
+  return respSuccess(res, req.admin);
+});
+
+
+// GET /api/admin/users: Owner-only listing of admin accounts
+app.get("/api/admin/users", publicLimiter, ownerOnly, async (req, res) => {
+  try {
+    const users = await AdminUser.find().sort({ createdAt: 1 });
+    return respSuccess(res, users);
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/admin/users error");
+    return respError(res, "Server error fetching admin users.", 500, null, err);
+  }
+});
+
+
+// POST /api/admin/users: Owner-only creation of admin accounts
+app.post("/api/admin/users", publicLimiter, ownerOnly, async (req, res) => {
+  try {
+    const { username, password, role = "viewer" } = req.body || {};
+    if (!username || !password) return respError(res, "Username and password are required.", 400);
+    if (String(password).length < 8) return respError(res, "Password must be at least 8 characters.", 400);
+    if (!ADMIN_ROLES.includes(role)) return respError(res, "Invalid role provided.", 400);
+
+    const passwordHash = await bcrypt.hash(String(password), BCRYPT_ROUNDS);
+    const user = await AdminUser.create({ username, passwordHash, role });
+
+    await logAction(req.admin.username, "ADMIN_USER_CREATED", null, `Created ${user.username} (${role})`, {});
+    return respSuccess(res, user, "Admin user created.", 201);
+  } catch (err) {
+    if (err.code === 11000) return respError(res, "Username already exists.", 409);
+    if (err.name === 'ValidationError') {
+        return respError(res, `Validation Error: ${err.message}`, 400, null, err);
+    }
+    logger.error({ err }, "❌ POST /api/admin/users error");
+    return respError(res, "Server error creating admin user.", 500, null, err);
+  }
+});
+
+
+// PUT /api/admin/users/:id: Owner-only role/password/active changes
+app.put("/api/admin/users/:id", publicLimiter, ownerOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid admin user ID.", 400);
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) return respError(res, "Admin user not found.", 404);
+
+    const { password, role, active } = req.body || {};
+    if (role !== undefined) {
+      if (!ADMIN_ROLES.includes(role)) return respError(res, "Invalid role provided.", 400);
+      user.role = role;
+    }
+    if (active !== undefined) user.active = Boolean(active);
+    if (password !== undefined) {
+      if (String(password).length < 8) return respError(res, "Password must be at least 8 characters.", 400);
+      user.passwordHash = await bcrypt.hash(String(password), BCRYPT_ROUNDS);
+    }
+
+    // Guard against locking everyone out
+    if (user.isModified("role") || user.isModified("active")) {
+      const otherOwners = await AdminUser.countDocuments({ _id: { $ne: user._id }, role: "owner", active: true });
+      if (otherOwners === 0 && (user.role !== "owner" || !user.active)) {
+        return respError(res, "At least one active owner account is required.", 400);
+      }
+    }
+
+    await user.save();
+    await logAction(req.admin.username, "ADMIN_USER_UPDATED", null, `Updated ${user.username}`, { role: user.role, active: user.active });
+    return respSuccess(res, user, "Admin user updated.");
+  } catch (err) {
+    logger.error({ err }, "❌ PUT /api/admin/users/:id error");
+    return respError(res, "Server error updating admin user.", 500, null, err);
+  }
+});
+
+
+// POST /api/upload-photo: Handle photo upload to file storage (for both form submit and admin update)
+app.post("/api/upload-photo", publicLimiter, acceptPhoto, async (req, res) => {
+  try {
+    if (!req.file) return respError(res, "No file uploaded.", 400);
+
+    const { photoUrl, photoVariants } = await savePhotoUpload(req.file, { temp: true, tags: ["client_photo", "temp_upload"] });
 
-// POST /api/upload-photo: Handle photo upload to Cloudinary (for both form submit and admin update)
-app.post("/api/upload-photo", publicLimiter, upload.single("photo"), async (req, res) => {
-  try {
-    if (!req.file) return respError(res, "No file uploaded.", 400);
-
-    const result = await cloudinary.uploader.upload(
-      `data:${req.file.mimetype};base64,${req.file.buffer.toString("base64")}`,
-      {
-        folder: "smartcardlink_photos",
-        resource_type: "image",
-        tags: ["client_photo", "temp_upload"],
-      }
-    );
-
-    await logAction("system", "TEMP_PHOTO_UPLOAD", null, "Temporary photo uploaded for client form", { photoUrl: result.secure_url });
-    
+    await logAction("system", "TEMP_PHOTO_UPLOAD", null, "Temporary photo uploaded for client form", { photoUrl, photoVariants });
+    
     // CRITICAL FIX: Return a simplified JSON response for frontend consumption
-    return respSuccess(res, { photoUrl: result.secure_url }, "Photo uploaded successfully");
-  } catch (err) {
-    logger.error({ err }, "❌ POST /api/upload-photo error");
+    return respSuccess(res, { photoUrl, photoVariants }, "Photo uploaded successfully");
+  } catch (err) {
+    if (err instanceof RangeError) return respError(res, err.message, 400);
+    logger.error({ err }, "❌ POST /api/upload-photo error");
     return respError(res, "Upload error", 500, null, err);
   }
 });
@@ -446,26 +3493,38 @@ app.post("/api/clients", publicLimiter, async (req, res) => {
     // Normalize companyName to company if present (from admin-form.html logic)
     if (incoming.companyName) {
         incoming.company = incoming.companyName;
-        delete incoming.companyName;
-    }
-    
-    const clientDoc = new Client(incoming);
+        delete incoming.companyName;
+    }
+    // Form fields only: status, history, login, short link and publishing fields are always set by the server
+    const fields = Object.fromEntries([...CLIENT_UPDATE_FIELDS, ...CLIENT_NESTED_FIELDS]
+      .filter((field) => incoming[field] !== undefined && field !== "logoUrl") // Logos are set by admins
+      .map((field) => [field, incoming[field]]));
+    if (fields.photoUrl && !isAdoptablePhoto(String(fields.photoUrl))) {
+      return respError(res, "Photos must be uploaded through /api/upload-photo.", 400);
+    }
+    // Variants from /api/upload-photo (kept only when they match photoUrl, see dropStalePhotoVariants)
+    if (incoming.photoVariants !== undefined) fields.photoVariants = parsePhotoVariants(incoming.photoVariants) || undefined;
+    
+    const clientDoc = new Client(fields);
     
     // Auto-generate slug and status upon initial creation
     clientDoc.status = "Pending";
     clientDoc.slug = await generateUniqueSlug(clientDoc.fullName);
 
-    clientDoc.history.push({ action: "CLIENT_CREATED", notes: "Initial form submission", actor: "client_submission" });
+    recordHistory(clientDoc, req, { action: "CLIENT_CREATED", notes: "Initial form submission", actor: "client_submission" });
+    await clientDoc.validate(); // Before the photo moves: a rejected submission leaves it to the temp sweep
+    await adoptClientPhoto(clientDoc);
     await clientDoc.save();
     
     // Notify admin by email
     if (ADMIN_EMAIL) {
       const subject = `New SmartCardLink submission: ${clientDoc.fullName}`;
       const text = `New client submitted. ID: ${clientDoc._id} — ${clientDoc.fullName}. Check admin panel to process.`;
-      await sendEmail(ADMIN_EMAIL, subject, text);
-    }
-    
-    return respSuccess(res, { recordId: clientDoc._id }, "Saved. Pending admin processing.", 201);
+      await sendEmail(ADMIN_EMAIL, subject, text, null, { clientId: clientDoc._id });
+    }
+    await sendTemplatedEmail("submission_received", clientDoc);
+    
+    return respSuccess(res, { recordId: clientDoc._id }, "Saved. Pending admin processing.", 201);
   } catch (err) {
     if (err.name === 'ValidationError') {
         return respError(res, `Validation Error: ${err.message}`, 400, null, err);
@@ -477,7 +3536,7 @@ app.post("/api/clients", publicLimiter, async (req, res) => {
 
 
 // GET /api/admin/clients: Admin listing with filtering and pagination
-app.get("/api/admin/clients", publicLimiter, async (req, res) => {
+app.get("/api/admin/clients", publicLimiter, canView, async (req, res) => {
   try {
     const { q, status, page = 1, limit = 50 } = req.query;
     const filter = {};
@@ -511,7 +3570,9 @@ app.get("/api/admin/clients", publicLimiter, async (req, res) => {
         pages: Math.ceil(totalCount / pageSize),
     };
 
-    return respSuccess(res, clients, "Admin clients list retrieved successfully", 200, meta);
+    // Same next actions as GET /api/clients/:id/status-actions, so the table can render buttons without extra requests
+    const data = clients.map((client) => ({ ...client.toObject(), nextActions: clientStatusActions(client, req.admin.role) }));
+    return respSuccess(res, data, "Admin clients list retrieved successfully", 200, meta);
   } catch (err) {
     logger.error({ err }, "❌ GET /api/admin/clients error");
     return respError(res, "Server error fetching clients", 500, null, err);
@@ -520,8 +3581,9 @@ app.get("/api/admin/clients", publicLimiter, async (req, res) => {
 
 
 // GET /api/clients/:id: Helper for Admin Panel to fetch one client
-app.get("/api/clients/:id", publicLimiter, async (req, res) => {
+app.get("/api/clients/:id", publicLimiter, canView, async (req, res) => {
     try {
+        if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid client ID.", 400);
         const client = await Client.findById(req.params.id);
         if (!client) return respError(res, "Client not found.", 404);
         return respSuccess(res, client);
@@ -532,47 +3594,44 @@ app.get("/api/clients/:id", publicLimiter, async (req, res) => {
 
 
 // PUT /api/clients/:id: Update client info (Admin update route)
-app.put("/api/clients/:id", publicLimiter, upload.single("photo"), async (req, res) => {
+app.put("/api/clients/:id", publicLimiter, canEdit, acceptPhoto, async (req, res) => {
   try {
+    if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid client ID.", 400);
     const id = req.params.id;
     const client = await Client.findById(id);
     if (!client) return respError(res, "Client not found.", 404);
     
-    const incoming = req.body || {};
-    
-    // --- Safe Field Update Logic ---
-    const allowedTopLevelFields = [
-        'fullName', 'title', 'company', 'businessWebsite', 'portfolioWebsite', 'locationMap',
-        'phone1', 'phone2', 'phone3', 'email1', 'email2', 'email3', 'address', 'bio', 'status', 'photoUrl'
-    ];
-    
-    // 1. Check for fullName change and regenerate slug if necessary
-    if (incoming.fullName && incoming.fullName !== client.fullName) {
-        client.slug = await generateUniqueSlug(incoming.fullName);
-        await logAction("admin", "SLUG_REGENERATED", id, `Slug changed from ${client.slug} based on new fullName.`, {});
-    }
+    const incoming = req.body || {};
+    const before = snapshotClient(client);
+    if (incoming.photoUrl && !req.file && !isAdoptablePhoto(String(incoming.photoUrl), client)) {
+      return respError(res, "Photos must be uploaded through /api/upload-photo.", 400);
+    }
+    
+    // --- Safe Field Update Logic (CLIENT_UPDATE_FIELDS) ---
+    
+    // 1. Check for fullName change and regenerate slug if necessary
+    if (incoming.fullName && incoming.fullName !== client.fullName) {
+        const previousSlug = client.slug;
+        client.slug = await generateUniqueSlug(incoming.fullName);
+        await logAction(actorName(req), "SLUG_REGENERATED", id, `Slug changed from ${previousSlug} to ${client.slug} based on new fullName.`, {});
+    }
 
     // 2. Handle photo upload if file is present (photoUrl is updated if successful)
-    if (req.file) {
-      const uploadResult = await cloudinary.uploader.upload(
-        `data:${req.file.mimetype};base64,${req.file.buffer.toString("base64")}`,
-        {
-          folder: "smartcardlink_photos",
-          resource_type: "image",
-          tags: ["client_photo", `client_${id}`],
-        }
-      );
-      incoming.photoUrl = uploadResult.secure_url;
-      await logAction("admin", "CLIENT_PHOTO_UPDATED", id, "Photo updated via PUT route.", { newPhoto: incoming.photoUrl });
+    if (req.file) {
+      Object.assign(incoming, await savePhotoUpload(req.file, { clientId: id, tags: ["client_photo"] }));
+      await logAction(actorName(req), "CLIENT_PHOTO_UPDATED", id, "Photo updated via PUT route.", { newPhoto: incoming.photoUrl });
     }
 
     // 3. Apply updates safely, preventing overwrites of critical fields like slug, _id, history
-    for (const field of allowedTopLevelFields) {
+    for (const field of CLIENT_UPDATE_FIELDS) {
         if (incoming[field] !== undefined && field !== 'photoUrl') { 
             client[field] = incoming[field];
         }
     }
-    if (incoming.photoUrl) client.photoUrl = incoming.photoUrl;
+    if (incoming.photoUrl) client.photoUrl = incoming.photoUrl;
+    // Variants from /api/upload-photo; the pre-save hook discards them unless they match photoUrl
+    const photoVariants = incoming.photoVariants && parsePhotoVariants(incoming.photoVariants);
+    if (photoVariants) client.photoVariants = photoVariants;
 
     // 4. Handle nested objects (socialLinks, workingHours) - handle JSON string from form
     if (incoming.socialLinks) {
@@ -592,42 +3651,53 @@ app.put("/api/clients/:id", publicLimiter, upload.single("photo"), async (req, r
         }
     }
     
-    // 5. Save and Log
-    client.history.push({ action: "CLIENT_UPDATED", notes: "Admin saved info", actor: "admin" });
-    await client.save();
+    // 5. Save and Log (with a field-level diff)
+    const changes = recordHistory(client, req, { action: "CLIENT_UPDATED", notes: "Admin saved info", before });
+    await client.validate(); // Before the photo moves: a rejected update leaves it to the temp sweep
+    await adoptClientPhoto(client);
+    await client.save();
+    await logAction(actorName(req), "CLIENT_UPDATED", client._id, "Admin saved info", { fields: changes.map((c) => c.field) });
     
     return respSuccess(res, client, "Client updated successfully");
   } catch (err) {
-    if (err.name === 'ValidationError') {
-        return respError(res, `Validation Error: ${err.message}`, 400, null, err);
-    }
-    logger.error({ err }, "❌ PUT /api/clients/:id error");
+    if (err.name === 'ValidationError') {
+        return respError(res, `Validation Error: ${err.message}`, 400, null, err);
+    }
+    if (err instanceof RangeError) return respError(res, err.message, 400);
+    logger.error({ err }, "❌ PUT /api/clients/:id error");
     return respError(res, "Server error saving client info.", 500, null, err);
   }
 });
 
 
-// PUT /api/clients/:id/status/:newStatus: Admin status change route (Active, Suspended, Deleted)
-app.put("/api/clients/:id/status/:newStatus", publicLimiter, async (req, res) => {
-  try {
-    const { id, newStatus } = req.params;
-    const { notes } = req.body;
-    
-    if (!["Pending", "Active", "Suspended", "Deleted"].includes(newStatus)) { // Added Pending as a valid status
-        return respError(res, "Invalid status provided.", 400);
-    }
+// PUT /api/clients/:id/status/:newStatus: Move a client along the status state machine (CLIENT_STATUS_TRANSITIONS)
+app.put("/api/clients/:id/status/:newStatus", publicLimiter, canEdit, async (req, res) => {
+  try {
+    const { id, newStatus } = req.params;
+    const { notes } = req.body;
+    
+    if (!CLIENT_STATUSES.includes(newStatus)) {
+        return respError(res, "Invalid status provided.", 400);
+    }
+    if (OWNER_ONLY_STATUSES.includes(newStatus) && req.admin.role !== "owner") {
+        return respError(res, `Only owners can move clients to ${newStatus}.`, 403);
+    }
 
-    const client = await Client.findById(id);
-    if (!client) return respError(res, "Client not found", 404);
-    
-    const previous = client.status;
-    client.status = newStatus;
+    const client = await Client.findById(id);
+    if (!client) return respError(res, "Client not found", 404);
 
-    client.history.push({ action: "STATUS_CHANGED", notes, actor: "admin" });
-    await client.save();
-    
-    await logAction("admin", "STATUS_CHANGED", client._id, notes, { previousStatus: previous, newStatus });
-    return respSuccess(res, client, `Client status updated to ${newStatus}`);
+    const problem = statusTransitionProblem(client, newStatus);
+    if (problem) return respError(res, problem, 409, { allowedActions: clientStatusActions(client, req.admin.role) });
+    
+    const before = snapshotClient(client);
+    const previous = applyStatusTransition(client, newStatus);
+
+    recordHistory(client, req, { action: newStatus === "Deleted" ? "CLIENT_DELETED" : "STATUS_CHANGED", notes, before });
+    await client.save();
+    
+    await logAction(actorName(req), "STATUS_CHANGED", client._id, notes, { previousStatus: previous, newStatus });
+    await afterStatusTransition(client, previous, newStatus, { notes, actor: actorName(req) });
+    return respSuccess(res, client, `Client status updated to ${newStatus}`);
   } catch (err) {
     logger.error({ err }, "❌ PUT /api/clients/:id/status/:newStatus error");
     return respError(res, "Server error updating status", 500, null, err);
@@ -635,101 +3705,1012 @@ app.put("/api/clients/:id/status/:newStatus", publicLimiter, async (req, res) =>
 });
 
 
+// GET /api/clients/:id/status-actions: Current status and the next actions this admin can take (for dashboard buttons)
+app.get("/api/clients/:id/status-actions", publicLimiter, canView, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid client ID.", 400);
+    const client = await Client.findById(req.params.id).select("status vcardUrl deletedAt purgeAfter purgedAt");
+    if (!client) return respError(res, "Client not found.", 404);
+
+    return respSuccess(res, {
+      status: client.status,
+      deletedAt: client.deletedAt,
+      purgeAfter: client.purgeAfter,
+      purgedAt: client.purgedAt,
+      actions: clientStatusActions(client, req.admin.role),
+    });
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/clients/:id/status-actions error");
+    return respError(res, "Server error fetching status actions.", 500, null, err);
+  }
+});
+
+
 // DELETE /api/clients/:id: Admin soft-delete route
-app.delete("/api/clients/:id", publicLimiter, async (req, res) => {
+app.delete("/api/clients/:id", publicLimiter, ownerOnly, async (req, res) => {
   try {
     const id = req.params.id;
     const { notes } = req.body;
     
-    const client = await Client.findById(id);
-    if (!client) return respError(res, "Client not found", 404);
-    
-    const previous = client.status;
-    client.status = "Deleted"; // Soft delete
+    const client = await Client.findById(id);
+    if (!client) return respError(res, "Client not found", 404);
 
-    client.history.push({ action: "CLIENT_DELETED", notes, actor: "admin" });
-    await client.save();
-    
-    await logAction("admin", "CLIENT_DELETED", client._id, notes, { previousStatus: previous, newStatus: "Deleted" });
+    const problem = statusTransitionProblem(client, "Deleted");
+    if (problem) return respError(res, problem, 409);
+    
+    const before = snapshotClient(client);
+    const previous = applyStatusTransition(client, "Deleted"); // Soft delete; purged after the retention window
+
+    recordHistory(client, req, { action: "CLIENT_DELETED", notes, before });
+    await client.save();
+    
+    await logAction(actorName(req), "CLIENT_DELETED", client._id, notes, { previousStatus: previous, newStatus: "Deleted" });
+    await afterStatusTransition(client, previous, "Deleted", { notes, actor: actorName(req) });
     return respSuccess(res, null, "Client soft-deleted successfully");
   } catch (err) {
-    logger.error({ err }, "❌ DELETE /api/clients/:id error");
-    return respError(res, "Server error deleting client", 500, null, err);
-  }
+    logger.error({ err }, "❌ DELETE /api/clients/:id error");
+    return respError(res, "Server error deleting client", 500, null, err);
+  }
 });
 
 
-// POST /api/clients/:id/pdf: Admin route to generate and retrieve PDF
-app.post("/api/clients/:id/pdf", publicLimiter, async (req, res) => {
-  try {
-    const id = req.params.id;
-    const client = await Client.findById(id);
-    if (!client) return respError(res, "Client not found.", 404);
-    
-    // PDF Generation is stubbed, but should return a URL for the admin to view
-    const pdfUrl = await generateAndUploadPdf(client); 
+// GET /api/clients/:id/export: ZIP of everything held about the client (record, history, analytics, emails, stored files)
+app.get("/api/clients/:id/export", publicLimiter, canEdit, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid client ID.", 400);
+    const client = await Client.findById(req.params.id);
+    if (!client) return respError(res, "Client not found.", 404);
 
-    return respSuccess(res, { pdfUrl }, "PDF URL generated successfully", 200, { redirect: pdfUrl });
-  } catch (err) {
-    logger.error({ err }, "❌ POST /api/clients/:id/pdf error");
-    return respError(res, "Server error generating PDF.", 500, null, err);
-  }
+    const { entries, manifest } = await buildClientExport(client, actorName(req));
+    recordHistory(client, req, { action: "DATA_EXPORTED", notes: `Data export downloaded (${manifest.files.length} files)` });
+    await client.save();
+    await logAction(actorName(req), "DATA_EXPORTED", client._id, "Client data export downloaded", { files: manifest.files.length, missingFiles: manifest.missingFiles });
+
+    await sendZip(res, `${client.slug || client._id}-data-export.zip`, entries);
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/clients/:id/export error");
+    return respError(res, "Server error exporting client data.", 500, null, err);
+  }
 });
 
 
-// POST /api/clients/:id/vcard: Create vCard, QR code, update client, send email
-app.post("/api/clients/:id/vcard", publicLimiter, async (req, res) => {
-  try {
-    const id = req.params.id;
-    const client = await Client.findById(id);
-    if (!client) return respError(res, "Client not found.", 404);
-    
-    if (!client.fullName || (!client.phone1 && !client.email1)) {
-      return respError(res, "Client must have fullName and at least one contact (phone1 or email1).", 400);
-    }
-    
-    // Ensure slug exists
-    if (!client.slug || client.slug.trim() === "") {
-      client.slug = await generateUniqueSlug(client.fullName);
-    }
-    
-    // The public page URL uses the dedicated VCARD_BASE_URL
-    const publicVcardPage = `${VCARD_BASE_URL}/${client.slug}`;
-    
-    // 1. Generate vCard Content
-    const vcardContent = generateVcardContent(client);
-    
-    // 2. Upload vCard to Cloudinary
-    const vcardUrl = await uploadVcfToCloudinary(client.slug, vcardContent); 
-    
-    // 3. Generate QR Code (The QR code should encode the public page link, not the direct vCard link)
-    const qrCodeUrl = await qrcode.toDataURL(publicVcardPage);
-    
-    // 4. Update Client Record
-    client.vcardUrl = vcardUrl;
-    client.qrCodeUrl = qrCodeUrl;
-    client.status = "Active";
-    client.history.push({ action: "VCARD_CREATED", notes: `vCard at ${vcardUrl}, Public Page: ${publicVcardPage}`, actor: "admin" });
-    await client.save();
-
-    // 5. Send vCard/QR email to client
-    const emailToClient = client.email1 || ADMIN_EMAIL;
-    if (emailToClient) {
-      const emailHtml = `
-        <h1>Your Digital Smart Card is Ready!</h1>
-        <p>Dear ${client.fullName},</p>
-        <p>Your SmartCardLink profile is now active and ready to share.</p>
-        <p><strong>Public Page Link:</strong> <a href="${publicVcardPage}">${publicVcardPage}</a></p>
-        <p><strong>Direct Download vCard:</strong> <a href="${vcardUrl}">Click to Download Contact (.vcf)</a></p>
-        <img src="${qrCodeUrl}" alt="QR Code" style="width: 200px; height: 200px; border: 1px solid #ccc; padding: 10px;">
-        <p>Thank you.</p>
-      `;
-      await sendEmail(emailToClient, `Your SmartCardLink is Ready: ${client.fullName}`, `Your digital smart card is ready. Public Page: ${publicVcardPage}`, emailHtml);
-    }
-    
-    return respSuccess(res, { vcardUrl, qrCodeUrl, publicVcardPage }, "vCard created, client active, email sent.");
-  } catch (err) {
-    logger.error({ err }, "❌ POST /api/clients/:id/vcard error");
+// POST /api/clients/:id/erasure: Start a right-to-erasure request. method "email" (default) sends the client a link to confirm it;
+// method "manual" is for identity verified another way and needs confirmName (the client's full name) and verificationNotes.
+app.post("/api/clients/:id/erasure", publicLimiter, ownerOnly, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const reason = String(body.reason || "").trim().substring(0, 1000);
+    const method = body.method || "email";
+    if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid client ID.", 400);
+    if (!reason) return respError(res, "A reason is required for an erasure request.", 400);
+    if (!ERASURE_VERIFICATION_METHODS.includes(method)) return respError(res, `method must be one of: ${ERASURE_VERIFICATION_METHODS.join(", ")}.`, 400);
+    if (!ERASURE_SIGNING_SECRET) return respError(res, "Erasure records cannot be signed: set ERASURE_SIGNING_SECRET or JWT_SECRET.", 503);
+
+    const client = await Client.findById(req.params.id);
+    if (!client) return respError(res, "Client not found.", 404);
+    if (await ErasureRequest.exists({ client: client._id, status: "verified" })) {
+      return respError(res, "An erasure for this client is already in progress.", 409);
+    }
+
+    const erasure = new ErasureRequest({ client: client._id, reason, requestedBy: actorName(req), verification: { method } });
+    let token = null;
+    if (method === "manual") {
+      const verificationNotes = String(body.verificationNotes || "").trim().substring(0, 1000);
+      if (String(body.confirmName || "").trim() !== client.fullName) return respError(res, "confirmName must match the client's full name exactly.", 400);
+      if (!verificationNotes) return respError(res, "verificationNotes must say how the client's identity was verified.", 400);
+      erasure.status = "verified";
+      Object.assign(erasure.verification, { verifiedAt: new Date(), verifiedBy: actorName(req), notes: verificationNotes });
+    } else {
+      if (!client.email1) return respError(res, "This client has no email address to confirm with; use manual verification.", 400);
+      token = crypto.randomBytes(32).toString("hex");
+      erasure.verification.tokenHash = crypto.createHash("sha256").update(token).digest("hex");
+      erasure.verification.expiresAt = new Date(Date.now() + ERASURE_LINK_TTL_HOURS * 60 * 60 * 1000);
+    }
+
+    // A new request replaces one still waiting for the client's confirmation
+    await ErasureRequest.updateMany({ client: client._id, status: "awaiting_verification" }, { $set: { status: "cancelled" } });
+    await erasure.save();
+    recordHistory(client, req, { action: "ERASURE_REQUESTED", notes: `${reason} (verification: ${method})` });
+    await client.save();
+    await logAction(actorName(req), "ERASURE_REQUESTED", client._id, reason, { erasureId: erasure._id, method });
+
+    if (token) {
+      const link = `${FRONTEND_BASE_URL.replace(/\/$/, "")}/${CLIENT_PORTAL_PAGE}#erase=${token}`;
+      await sendEmail(
+        client.email1,
+        "Confirm the deletion of your SmartCardLink data",
+        `Hello ${client.fullName},\n\nWe received a request to permanently delete your SmartCardLink card and all personal data we hold about you. Open this link to confirm. It expires in ${ERASURE_LINK_TTL_HOURS} hours:\n${link}\n\nThis cannot be undone. If you did not ask for this, ignore this email and nothing will be deleted.`,
+        renderEmailLayout("Confirm data deletion", `<p>Hello ${escapeHtml(client.fullName)},</p><p>We received a request to permanently delete your SmartCardLink card and all personal data we hold about you. Use the link below to confirm. It expires in ${ERASURE_LINK_TTL_HOURS} hours.</p>${emailButton(escapeHtml(link), "Confirm deletion")}<p><strong>This cannot be undone.</strong> If you did not ask for this, ignore this email and nothing will be deleted.</p>`),
+        { clientId: client._id, sensitive: true }
+      );
+      return respSuccess(res, { erasureId: erasure._id, status: erasure.status, expiresAt: erasure.verification.expiresAt }, `Confirmation link sent to ${client.email1}.`, 202);
+    }
+
+    const job = await queueErasure(erasure);
+    return respSuccess(res, { erasureId: erasure._id, status: erasure.status, jobId: job._id }, "Erasure verified and queued.", 202);
+  } catch (err) {
+    logger.error({ err }, "❌ POST /api/clients/:id/erasure error");
+    return respError(res, "Server error creating erasure request.", 500, null, err);
+  }
+});
+
+
+// GET /api/admin/erasures: Erasure requests, newest first (?clientId=&status=)
+app.get("/api/admin/erasures", publicLimiter, canView, async (req, res) => {
+  try {
+    const { clientId, status } = req.query;
+    const filter = {};
+    if (clientId) {
+      if (!mongoose.isValidObjectId(clientId)) return respError(res, "Invalid client ID.", 400);
+      filter.client = clientId;
+    }
+    if (status) {
+      if (!ERASURE_STATUSES.includes(status)) return respError(res, `status must be one of: ${ERASURE_STATUSES.join(", ")}.`, 400);
+      filter.status = status;
+    }
+
+    const erasures = await ErasureRequest.find(filter).sort({ createdAt: -1 }).limit(100);
+    return respSuccess(res, erasures, "Erasure requests retrieved successfully");
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/admin/erasures error");
+    return respError(res, "Server error fetching erasure requests.", 500, null, err);
+  }
+});
+
+
+// GET /api/admin/erasures/:id: One erasure record; signatureValid re-checks the HMAC over the completed record
+app.get("/api/admin/erasures/:id", publicLimiter, canView, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid erasure ID.", 400);
+    const erasure = await ErasureRequest.findById(req.params.id);
+    if (!erasure) return respError(res, "Erasure request not found.", 404);
+
+    return respSuccess(res, { ...erasure.toObject(), signatureValid: erasure.status === "completed" && erasureSignatureValid(erasure) });
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/admin/erasures/:id error");
+    return respError(res, "Server error fetching erasure request.", 500, null, err);
+  }
+});
+
+
+// GET /api/clients/:id/contact: The client as a contact file (?format=vcard3|vcard4|jcard|xcard|mecard|csv, ?download=1)
+app.get("/api/clients/:id/contact", publicLimiter, canView, async (req, res) => {
+  try {
+    const format = String(req.query.format || CONTACT_DEFAULT_FORMAT).toLowerCase();
+    if (!CONTACT_FORMATS[format]) return respError(res, `format must be one of: ${Object.keys(CONTACT_FORMATS).join(", ")}.`, 400);
+    if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid client ID.", 400);
+    const client = await Client.findById(req.params.id);
+    if (!client || client.status === "Deleted") return respError(res, "Client not found.", 404);
+
+    res.set("Cache-Control", "no-store");
+    return await sendContact(res, client, format, { inline: !req.query.download });
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/clients/:id/contact error");
+    return respError(res, "Server error rendering contact.", 500, null, err);
+  }
+});
+
+
+// GET /api/clients/:id/aliases: Permanent short link plus every former slug that redirects to this client
+app.get("/api/clients/:id/aliases", publicLimiter, canView, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid client ID.", 400);
+    const client = await Client.findById(req.params.id).select("fullName slug shortCode");
+    if (!client) return respError(res, "Client not found.", 404);
+
+    const aliases = await SlugAlias.find({ client: client._id }).sort({ createdAt: -1 });
+    return respSuccess(res, {
+      slug: client.slug,
+      cardUrl: `${VCARD_BASE_URL}/${client.slug}`,
+      shortCode: client.shortCode || null,
+      shortUrl: client.shortCode ? cardQrTarget(client) : null,
+      aliases: aliases.map((a) => ({ slug: a.slug, url: `${VCARD_BASE_URL}/${a.slug}`, since: a.updatedAt })),
+    }, "Client aliases retrieved successfully");
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/clients/:id/aliases error");
+    return respError(res, "Server error fetching client aliases.", 500, null, err);
+  }
+});
+
+
+// GET /api/clients/:id/history: Audit trail, newest first (?action=&actor=&field=&from=&to=&page=&limit=)
+app.get("/api/clients/:id/history", publicLimiter, canView, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid client ID.", 400);
+    const client = await Client.findById(req.params.id).select("fullName history");
+    if (!client) return respError(res, "Client not found.", 404);
+
+    const { action, actor, field, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), HISTORY_PAGE_LIMIT);
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+      return respError(res, "Invalid date range.", 400);
+    }
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) toDate.setUTCHours(23, 59, 59, 999); // Inclusive end day
+
+    const entries = client.history
+      .filter((entry) => (!action || entry.action === action)
+        && (!actor || entry.actor === actor)
+        && (!field || entry.changes.some((c) => c.field === field || c.field.startsWith(`${field}.`)))
+        && (!fromDate || entry.timestamp >= fromDate)
+        && (!toDate || entry.timestamp <= toDate))
+      .reverse();
+
+    const data = entries.slice((page - 1) * limit, page * limit);
+    return respSuccess(res, data, "Client history retrieved successfully", 200, { total: entries.length, page, limit, pages: Math.ceil(entries.length / limit) });
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/clients/:id/history error");
+    return respError(res, "Server error fetching client history.", 500, null, err);
+  }
+});
+
+
+// POST /api/clients/:id/history/:entryId/restore: Roll the card's fields back to how they were right after a history entry
+app.post("/api/clients/:id/history/:entryId/restore", publicLimiter, canEdit, async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const notes = String((req.body || {}).notes || "").trim();
+    if (!mongoose.isValidObjectId(id)) return respError(res, "Invalid client ID.", 400);
+    if (!notes) return respError(res, "A reason is required to restore a previous version.", 400);
+
+    const client = await Client.findById(id);
+    if (!client) return respError(res, "Client not found.", 404);
+    if (client.status === "Deleted") return respError(res, "Deleted clients cannot be restored from history.", 409);
+
+    const index = client.history.findIndex((entry) => entry._id.toString() === entryId);
+    if (index === -1) return respError(res, "History entry not found.", 404);
+
+    // Undo every later diff, newest first, to rebuild the state as of that entry
+    const target = snapshotClient(client);
+    client.history.slice(index + 1).reverse().forEach((entry) => {
+      entry.changes.forEach((change) => { if (change.field in target) target[change.field] = change.old; });
+    });
+
+    const before = snapshotClient(client);
+    Object.entries(target)
+      .filter(([field]) => !RESTORE_EXCLUDED_FIELDS.includes(field))
+      .forEach(([field, value]) => client.set(field, value));
+
+    if (!diffSnapshots(before, snapshotClient(client)).length) {
+      return respError(res, "The card already matches that version.", 400);
+    }
+
+    const entry = client.history[index];
+    const changes = recordHistory(client, req, {
+      action: "CLIENT_RESTORED",
+      notes: `Restored to ${entry.action} of ${entry.timestamp.toISOString()}: ${notes}`,
+      before,
+    });
+    await client.save();
+    await logAction(actorName(req), "CLIENT_RESTORED", client._id, notes, { entryId, fields: changes.map((c) => c.field) });
+
+    return respSuccess(res, client, "Client restored to the selected version.");
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+        return respError(res, `Validation Error: ${err.message}`, 400, null, err);
+    }
+    logger.error({ err }, "❌ POST /api/clients/:id/history/:entryId/restore error");
+    return respError(res, "Server error restoring client.", 500, null, err);
+  }
+});
+
+
+// POST /api/clients/:id/pdf: Admin route to render the client info sheet and stream it back
+app.post("/api/clients/:id/pdf", publicLimiter, canView, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!mongoose.isValidObjectId(id)) return respError(res, "Invalid client ID.", 400);
+    const client = await Client.findById(id);
+    if (!client) return respError(res, "Client not found.", 404);
+
+    if (req.query.queue) {
+      const job = await enqueueJob("render_pdf", { kind: "client_sheet", clientId: String(client._id), actor: actorName(req) }, { createdBy: actorName(req) });
+      return respSuccess(res, { jobId: job._id, status: job.status }, "PDF rendering queued.", 202);
+    }
+    
+    const pdfBuffer = await generateClientPdf(client);
+    await logAction(actorName(req), "CLIENT_PDF_GENERATED", client._id, "Client info sheet rendered", { bytes: pdfBuffer.length });
+
+    const disposition = req.query.download ? "attachment" : "inline";
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `${disposition}; filename="client_${client.slug}.pdf"`,
+      "Content-Length": pdfBuffer.length,
+      "Cache-Control": "no-store",
+    });
+    return res.status(200).send(pdfBuffer);
+  } catch (err) {
+    logger.error({ err }, "❌ POST /api/clients/:id/pdf error");
+    return respError(res, "Server error generating PDF.", 500, null, err);
+  }
+});
+
+
+// GET /api/card-designs: Available printed card templates (for the admin form selector)
+app.get("/api/card-designs", publicLimiter, canView, (req, res) => {
+  const designs = Object.entries(CARD_TEMPLATES).map(([key, template]) => ({ key, label: template.label }));
+  return respSuccess(res, designs);
+});
+
+
+// POST /api/clients/:id/print-card: Print-ready 85x55mm card PDF (front/back, bleed, crop marks)
+app.post("/api/clients/:id/print-card", publicLimiter, canView, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid client ID.", 400);
+    const client = await Client.findById(req.params.id);
+    if (!client) return respError(res, "Client not found.", 404);
+
+    const design = req.query.design || client.cardDesign || "classic";
+    if (!CARD_TEMPLATES[design]) return respError(res, `Unknown card design: ${design}`, 400);
+
+    if (req.query.queue) {
+      const job = await enqueueJob("render_pdf", { kind: "print_card", clientId: String(client._id), design, actor: actorName(req) }, { createdBy: actorName(req) });
+      return respSuccess(res, { jobId: job._id, status: job.status }, "Print card rendering queued.", 202);
+    }
+
+    const pdfBuffer = await generatePrintCardPdf(client, design);
+    await logAction(actorName(req), "PRINT_CARD_GENERATED", client._id, `Print card rendered (${design})`, { bytes: pdfBuffer.length });
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `${req.query.download ? "attachment" : "inline"}; filename="card_${client.slug}_${design}.pdf"`,
+      "Content-Length": pdfBuffer.length,
+      "Cache-Control": "no-store",
+    });
+    return res.status(200).send(pdfBuffer);
+  } catch (err) {
+    logger.error({ err }, "❌ POST /api/clients/:id/print-card error");
+    return respError(res, "Server error generating print card.", 500, null, err);
+  }
+});
+
+
+// POST /api/admin/print-sheet: Queue imposing many clients' cards onto shared sheets (one PDF for the printer)
+app.post("/api/admin/print-sheet", publicLimiter, canView, async (req, res) => {
+  try {
+    const { clientIds, sheet = "A4", duplex = "long-edge", design = null } = req.body || {};
+    const gutter = Math.max(0, Number(req.body?.gutterMm) || 0) * MM;
+
+    if (!Array.isArray(clientIds) || clientIds.length === 0) return respError(res, "clientIds must be a non-empty array.", 400);
+    if (clientIds.length > MAX_SHEET_CLIENTS) return respError(res, `A maximum of ${MAX_SHEET_CLIENTS} clients can be imposed at once.`, 400);
+    if (!SHEET_SIZES[sheet]) return respError(res, `Unknown sheet size: ${sheet}`, 400);
+    if (!["long-edge", "short-edge"].includes(duplex)) return respError(res, "duplex must be long-edge or short-edge.", 400);
+    if (design && !CARD_TEMPLATES[design]) return respError(res, `Unknown card design: ${design}`, 400);
+    if (!clientIds.every((id) => mongoose.isValidObjectId(id))) return respError(res, "clientIds contains an invalid ID.", 400);
+
+    const found = await Client.find({ _id: { $in: clientIds } });
+    const byId = new Map(found.map((client) => [client._id.toString(), client]));
+    const missing = clientIds.filter((id) => !byId.has(String(id)));
+    if (missing.length) return respError(res, "Some clients were not found.", 404, { missing });
+
+    const layout = computeSheetLayout(sheet, gutter);
+    if (layout.perSheet === 0) return respError(res, "Gutter too large for the selected sheet.", 400);
+
+    const job = await enqueueJob("render_pdf", {
+      kind: "print_sheet",
+      clientIds: clientIds.map(String),
+      sheet,
+      duplex,
+      design,
+      gutterMm: gutter / MM,
+      actor: actorName(req),
+    }, { createdBy: actorName(req) });
+
+    return respSuccess(res, { jobId: job._id, status: job.status, perSheet: layout.perSheet }, "Print sheet rendering queued.", 202);
+  } catch (err) {
+    logger.error({ err }, "❌ POST /api/admin/print-sheet error");
+    return respError(res, "Server error generating print sheet.", 500, null, err);
+  }
+});
+
+
+// GET /api/admin/jobs: Background jobs, newest first (?status=failed,dead lists the retry/dead-letter queue)
+app.get("/api/admin/jobs", publicLimiter, canView, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(",").map((s) => s.trim()).filter(Boolean);
+      if (!statuses.every((s) => JOB_STATUSES.includes(s))) return respError(res, "Invalid status filter.", 400);
+      filter.status = { $in: statuses };
+    }
+    if (req.query.type) {
+      if (!JOB_TYPES.includes(req.query.type)) return respError(res, "Invalid job type.", 400);
+      filter.type = req.query.type;
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), JOB_PAGE_LIMIT);
+    const [jobs, total] = await Promise.all([
+      Job.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).select("-__v"),
+      Job.countDocuments(filter),
+    ]);
+
+    return respSuccess(res, jobs, "Jobs retrieved successfully", 200, { total, page, limit, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/admin/jobs error");
+    return respError(res, "Server error fetching jobs.", 500, null, err);
+  }
+});
+
+
+// GET /api/admin/jobs/:id: One job's status, result and error trail (polled by the admin UI)
+app.get("/api/admin/jobs/:id", publicLimiter, canView, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid job ID.", 400);
+    const job = await Job.findById(req.params.id).select("-__v");
+    if (!job) return respError(res, "Job not found.", 404);
+    return respSuccess(res, job);
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/admin/jobs/:id error");
+    return respError(res, "Server error fetching job.", 500, null, err);
+  }
+});
+
+
+// GET /api/admin/jobs/:id/output: Download the file a completed render_pdf job produced
+app.get("/api/admin/jobs/:id/output", publicLimiter, canView, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid job ID.", 400);
+    const job = await Job.findById(req.params.id);
+    if (!job) return respError(res, "Job not found.", 404);
+    if (job.status !== "completed") return respError(res, `Job is ${job.status}; no output yet.`, 409);
+    const bucket = jobOutputBucket();
+    const [file] = job.outputFile ? await bucket.find({ _id: job.outputFile }).toArray() : [];
+    if (!file) return respError(res, "This job has no downloadable output.", 404);
+
+    res.set({
+      "Content-Type": job.result?.contentType || "application/octet-stream",
+      "Content-Disposition": `${req.query.download ? "attachment" : "inline"}; filename="${job.result?.filename || `job_${job._id}`}"`,
+      "Content-Length": file.length,
+      "Cache-Control": "no-store",
+    });
+    // Headers are sent once streaming starts, so a failure can only end the response
+    return bucket.openDownloadStream(file._id)
+      .once("error", (err) => {
+        logger.error({ err }, `❌ Failed to stream output of job ${job._id}`);
+        res.destroy(err);
+      })
+      .pipe(res.status(200));
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/admin/jobs/:id/output error");
+    return respError(res, "Server error fetching job output.", 500, null, err);
+  }
+});
+
+
+// POST /api/admin/jobs/:id/retry: Requeue a failed or dead-lettered job with a fresh set of attempts
+app.post("/api/admin/jobs/:id/retry", publicLimiter, canEdit, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid job ID.", 400);
+    const job = await Job.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ["failed", "dead"] } },
+      { $set: { status: "queued", attempts: 0, runAt: new Date(), lockedAt: null } },
+      { new: true }
+    ).select("-__v");
+    if (!job) {
+      const exists = await Job.exists({ _id: req.params.id });
+      return exists ? respError(res, "Only failed or dead jobs can be retried.", 409) : respError(res, "Job not found.", 404);
+    }
+
+    await logAction(actorName(req), "JOB_RETRIED", job.payload?.clientId || null, `${job.type} job requeued`, { jobId: job._id, lastError: job.lastError });
+    kickJobWorker();
+    return respSuccess(res, job, "Job requeued.");
+  } catch (err) {
+    logger.error({ err }, "❌ POST /api/admin/jobs/:id/retry error");
+    return respError(res, "Server error retrying job.", 500, null, err);
+  }
+});
+
+
+// GET /api/admin/email-templates: Available transactional email templates
+app.get("/api/admin/email-templates", publicLimiter, canView, (req, res) => {
+  const templates = Object.entries(EMAIL_TEMPLATES).map(([key, template]) => ({ key, label: template.label }));
+  return respSuccess(res, templates);
+});
+
+
+// GET /api/admin/email-templates/:key/preview: Render a template for a client (?clientId=, ?notes=, ?format=html|text|json)
+app.get("/api/admin/email-templates/:key/preview", publicLimiter, canView, async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { clientId, notes = "", format = "json" } = req.query;
+    if (!EMAIL_TEMPLATES[key]) return respError(res, `Unknown email template: ${key}`, 404);
+    if (!["json", "html", "text"].includes(format)) return respError(res, "format must be json, html or text.", 400);
+    if (!mongoose.isValidObjectId(clientId)) return respError(res, "A valid clientId is required.", 400);
+
+    const client = await Client.findById(clientId);
+    if (!client) return respError(res, "Client not found.", 404);
+
+    const rendered = renderEmailTemplate(key, client, { notes: String(notes), changedFields: String(req.query.changedFields || "") });
+    if (format === "html") return res.status(200).type("html").set("Cache-Control", "no-store").send(rendered.html);
+    if (format === "text") return res.status(200).type("text/plain").set("Cache-Control", "no-store").send(`Subject: ${rendered.subject}\n\n${rendered.text}`);
+    return respSuccess(res, { template: key, to: client.email1 || null, ...rendered }, "Email preview rendered");
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/admin/email-templates/:key/preview error");
+    return respError(res, "Server error rendering email preview.", 500, null, err);
+  }
+});
+
+
+// GET /api/admin/settings/status-notifications: Which status transitions email the client, and whether the reason is included
+app.get("/api/admin/settings/status-notifications", publicLimiter, canView, async (req, res) => {
+  try {
+    const settings = await getStatusNotificationSettings();
+    return respSuccess(res, Object.values(settings), "Status notification settings retrieved successfully");
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/admin/settings/status-notifications error");
+    return respError(res, "Server error fetching notification settings.", 500, null, err);
+  }
+});
+
+
+// PUT /api/admin/settings/status-notifications: Opt transitions in/out, e.g. { "Active->Suspended": { enabled, includeNotes } }
+app.put("/api/admin/settings/status-notifications", publicLimiter, ownerOnly, async (req, res) => {
+  try {
+    const updates = req.body || {};
+    const settings = await getStatusNotificationSettings();
+    const unknown = Object.keys(updates).filter((key) => !settings[key]);
+    if (unknown.length) return respError(res, "Unknown status transitions.", 400, { unknown });
+    if (!Object.values(updates).every((value) => value && typeof value === "object")) {
+      return respError(res, "Each transition must map to { enabled, includeNotes }.", 400);
+    }
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (value.enabled !== undefined) settings[key].enabled = Boolean(value.enabled);
+      if (value.includeNotes !== undefined) settings[key].includeNotes = Boolean(value.includeNotes);
+    }
+
+    const value = Object.fromEntries(Object.entries(settings).map(([key, rule]) => [key, { enabled: rule.enabled, includeNotes: rule.includeNotes }]));
+    await Setting.findOneAndUpdate({ key: STATUS_NOTIFICATIONS_SETTING }, { $set: { value, updatedBy: req.admin.username } }, { upsert: true });
+    await logAction(req.admin.username, "STATUS_NOTIFICATIONS_UPDATED", null, `Updated ${Object.keys(updates).length} transition(s)`, updates);
+
+    return respSuccess(res, Object.values(settings), "Status notification settings saved.");
+  } catch (err) {
+    logger.error({ err }, "❌ PUT /api/admin/settings/status-notifications error");
+    return respError(res, "Server error saving notification settings.", 500, null, err);
+  }
+});
+
+
+// GET /api/admin/outbox: Sent/queued/failed emails with their SMTP attempts (bodies omitted; see /api/admin/outbox/:id)
+app.get("/api/admin/outbox", publicLimiter, canView, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      if (!EMAIL_OUTBOX_STATUSES.includes(req.query.status)) return respError(res, "Invalid status filter.", 400);
+      filter.status = req.query.status;
+    }
+    if (req.query.template) filter.template = req.query.template;
+    if (req.query.clientId) {
+      if (!mongoose.isValidObjectId(req.query.clientId)) return respError(res, "Invalid client ID.", 400);
+      filter.client = req.query.clientId;
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), JOB_PAGE_LIMIT);
+    const [emails, total] = await Promise.all([
+      EmailOutbox.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).select("-text -html -__v"),
+      EmailOutbox.countDocuments(filter),
+    ]);
+
+    return respSuccess(res, emails, "Outbox retrieved successfully", 200, { total, page, limit, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/admin/outbox error");
+    return respError(res, "Server error fetching outbox.", 500, null, err);
+  }
+});
+
+
+// GET /api/admin/outbox/:id: One email including its rendered bodies
+app.get("/api/admin/outbox/:id", publicLimiter, canView, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid outbox ID.", 400);
+    const email = await EmailOutbox.findById(req.params.id).select("-__v");
+    if (!email) return respError(res, "Email not found.", 404);
+    return respSuccess(res, email);
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/admin/outbox/:id error");
+    return respError(res, "Server error fetching email.", 500, null, err);
+  }
+});
+
+
+// GET /api/admin/analytics: Per-client view/save/tap totals for a date range (top 100 clients by views)
+app.get("/api/admin/analytics", publicLimiter, canView, async (req, res) => {
+  try {
+    const { from, to } = parseDateRange(req.query);
+    const rows = await CardEvent.aggregate([
+      { $match: { createdAt: { $gte: from, $lte: to }, deviceType: { $ne: "bot" } } },
+      { $group: {
+        _id: "$client",
+        slug: { $last: "$slug" },
+        views: { $sum: { $cond: [{ $eq: ["$type", "view"] }, 1, 0] } },
+        vcardDownloads: { $sum: { $cond: [{ $eq: ["$type", "vcard_download"] }, 1, 0] } },
+        taps: { $sum: { $cond: [{ $eq: ["$type", "tap"] }, 1, 0] } },
+      } },
+      { $sort: { views: -1 } },
+      { $limit: 100 },
+    ]);
+
+    const clients = await Client.find({ _id: { $in: rows.map((r) => r._id) } }).select("fullName company");
+    const namesById = new Map(clients.map((c) => [c._id.toString(), c]));
+    const data = rows.map(({ _id, ...counts }) => ({
+      clientId: _id,
+      fullName: namesById.get(_id.toString())?.fullName || "",
+      company: namesById.get(_id.toString())?.company || "",
+      ...counts,
+    }));
+    return respSuccess(res, data, "Analytics summary retrieved successfully", 200, { from, to });
+  } catch (err) {
+    if (err instanceof RangeError) return respError(res, err.message, 400);
+    logger.error({ err }, "❌ GET /api/admin/analytics error");
+    return respError(res, "Server error fetching analytics.", 500, null, err);
+  }
+});
+
+
+// GET /api/admin/analytics/:clientId: Daily counts, top actions and referrers for one client
+app.get("/api/admin/analytics/:clientId", publicLimiter, canView, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.clientId)) return respError(res, "Invalid client ID.", 400);
+    const client = await Client.findById(req.params.clientId).select("fullName slug");
+    if (!client) return respError(res, "Client not found.", 404);
+
+    const { from, to } = parseDateRange(req.query);
+    const stats = await aggregateCardEvents(client._id, from, to);
+    return respSuccess(res, { client, ...stats }, "Client analytics retrieved successfully");
+  } catch (err) {
+    if (err instanceof RangeError) return respError(res, err.message, 400);
+    logger.error({ err }, "❌ GET /api/admin/analytics/:clientId error");
+    return respError(res, "Server error fetching client analytics.", 500, null, err);
+  }
+});
+
+
+// GET /api/admin/change-requests: Client-submitted edits with field-level diffs (?status=pending by default)
+app.get("/api/admin/change-requests", publicLimiter, canView, async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+    if (!CHANGE_REQUEST_STATUSES.includes(status)) return respError(res, "Invalid status filter.", 400);
+
+    const requests = await ChangeRequest.find({ status }).sort({ updatedAt: -1 }).limit(200)
+      .populate("client", "fullName company slug status phone1 phone2 phone3 email1 email2 email3 bio photoUrl socialLinks workingHours");
+    const data = requests.map((cr) => ({
+      ...cr.toObject(),
+      client: cr.client ? { _id: cr.client._id, fullName: cr.client.fullName, company: cr.client.company, slug: cr.client.slug, status: cr.client.status } : null,
+      diff: cr.status === "pending" ? (cr.client ? buildChangeDiff(cr.client, cr.changes) : []) : cr.appliedDiff || [],
+    }));
+    return respSuccess(res, data, "Change requests retrieved successfully");
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/admin/change-requests error");
+    return respError(res, "Server error fetching change requests.", 500, null, err);
+  }
+});
+
+
+// POST /api/admin/change-requests/:id/:decision: Approve or reject a pending client edit (notes are mandatory)
+app.post("/api/admin/change-requests/:id/:decision", publicLimiter, canEdit, async (req, res) => {
+  try {
+    const { id, decision } = req.params;
+    const notes = String((req.body || {}).notes || "").trim();
+    if (!["approve", "reject"].includes(decision)) return respError(res, "Decision must be 'approve' or 'reject'.", 400);
+    if (!mongoose.isValidObjectId(id)) return respError(res, "Invalid change request ID.", 400);
+    if (!notes) return respError(res, "A reason is required to review a change request.", 400);
+
+    const changeRequest = await ChangeRequest.findById(id);
+    if (!changeRequest) return respError(res, "Change request not found.", 404);
+    if (changeRequest.status !== "pending") return respError(res, `Change request was already ${changeRequest.status}.`, 409);
+
+    const client = await Client.findById(changeRequest.client);
+    if (!client || client.status === "Deleted") return respError(res, "Client not found.", 404);
+
+    const actor = actorName(req);
+    changeRequest.reviewedBy = actor;
+    changeRequest.reviewedAt = new Date();
+    changeRequest.reviewNotes = notes;
+
+    if (decision === "reject") {
+      changeRequest.status = "rejected";
+      recordHistory(client, req, { action: "CHANGE_REQUEST_REJECTED", notes, actor });
+      await Promise.all([changeRequest.save(), client.save()]);
+      // A photo uploaded for a rejected request is never used
+      const rejectedPhoto = changeRequest.changes && changeRequest.changes.photoUrl;
+      if (rejectedPhoto && rejectedPhoto !== client.photoUrl) await deletePhotoUpload(changeRequest.changes);
+      await logAction(actor, "CHANGE_REQUEST_REJECTED", client._id, notes, { changeRequestId: changeRequest._id });
+      return respSuccess(res, changeRequest, "Change request rejected.");
+    }
+
+    // Only fields the admin edit route accepts may be applied (plus the variants of an uploaded photo)
+    const allowed = Object.fromEntries(Object.entries(changeRequest.changes || {})
+      .filter(([field]) => CLIENT_UPDATE_FIELDS.includes(field) || CLIENT_NESTED_FIELDS.includes(field) || field === "photoVariants"));
+    const diff = buildChangeDiff(client, allowed);
+    const before = snapshotClient(client);
+    applyClientEdits(client, allowed);
+
+    changeRequest.status = "approved";
+    changeRequest.appliedDiff = diff;
+    recordHistory(client, req, { action: "CHANGE_REQUEST_APPROVED", notes: `${diff.map((d) => d.field).join(", ") || "No changes"}: ${notes}`, actor, before });
+    await client.save();
+    await changeRequest.save();
+    await logAction(actor, "CHANGE_REQUEST_APPROVED", client._id, notes, { changeRequestId: changeRequest._id, fields: diff.map((d) => d.field) });
+    await sendTemplatedEmail("edit_approved", client, { notes, changedFields: diff.map((d) => d.field).join(", ") });
+
+    // The vCard/QR rebuild is triggered by the save hook when a source field changed
+    return respSuccess(res, { changeRequest, vcardStale: client.vcardStale }, client.vcardStale ? "Changes approved. The vCard is being regenerated." : "Changes approved.");
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+        return respError(res, `Validation Error: ${err.message}`, 400, null, err);
+    }
+    logger.error({ err }, "❌ POST /api/admin/change-requests/:id/:decision error");
+    return respError(res, "Server error reviewing change request.", 500, null, err);
+  }
+});
+
+
+// POST /api/clients/:id/analytics-link: Signed link a client can open to see their own card analytics
+app.post("/api/clients/:id/analytics-link", publicLimiter, canEdit, async (req, res) => {
+  try {
+    if (!JWT_SECRET) return respError(res, "Client authentication is not configured.", 503);
+    if (!mongoose.isValidObjectId(req.params.id)) return respError(res, "Invalid client ID.", 400);
+    const client = await Client.findById(req.params.id).select("fullName slug status");
+    if (!client) return respError(res, "Client not found.", 404);
+    if (!client.slug) return respError(res, "Client has no card yet. Generate the vCard first.", 400);
+
+    const token = jwt.sign({ clientId: client._id.toString(), scope: CLIENT_SCOPES.analytics }, JWT_SECRET, { expiresIn: CLIENT_TOKEN_EXPIRES_IN, audience: JWT_AUDIENCES.client });
+    const url = `${FRONTEND_BASE_URL.replace(/\/$/, "")}/${CLIENT_ANALYTICS_PAGE}#token=${token}`;
+
+    await logAction(actorName(req), "CLIENT_ANALYTICS_LINK_CREATED", client._id, `Analytics link issued for ${client.slug}`, { expiresIn: CLIENT_TOKEN_EXPIRES_IN });
+    return respSuccess(res, { url, expiresIn: CLIENT_TOKEN_EXPIRES_IN }, "Analytics link created.");
+  } catch (err) {
+    logger.error({ err }, "❌ POST /api/clients/:id/analytics-link error");
+    return respError(res, "Server error creating analytics link.", 500, null, err);
+  }
+});
+
+
+// POST /api/client/login-link: Email a one-time login link to the card's primary email
+app.post("/api/client/login-link", loginLimiter, async (req, res) => {
+  try {
+    if (!JWT_SECRET) return respError(res, "Client authentication is not configured.", 503);
+    const email = String((req.body || {}).email || "").trim().toLowerCase();
+    if (!email) return respError(res, "Email is required.", 400);
+
+    // Same response whether or not the email matches a card, so addresses cannot be probed
+    const genericMessage = "If that email belongs to a card, a login link is on its way.";
+    const client = await Client.findOne({ email1: email, status: { $ne: "Deleted" } });
+    if (!client) {
+      await logAction("system", "CLIENT_LOGIN_LINK_UNKNOWN", null, "Login link requested for unknown email", { ip: req.ip });
+      return respSuccess(res, null, genericMessage);
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+    client.loginTokenHash = crypto.createHash("sha256").update(token).digest("hex");
+    client.loginTokenExpiresAt = new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000);
+    await client.save();
+
+    const link = `${FRONTEND_BASE_URL.replace(/\/$/, "")}/${CLIENT_PORTAL_PAGE}#login=${token}`;
+    await sendEmail(
+      client.email1,
+      "Your SmartCardLink login link",
+      `Hello ${client.fullName},\n\nUse this link to sign in and update your card. It expires in ${MAGIC_LINK_TTL_MINUTES} minutes and can only be used once:\n${link}\n\nIf you did not request this, you can ignore this email.`,
+      renderEmailLayout("Sign in to SmartCardLink", `<p>Hello ${escapeHtml(client.fullName)},</p><p>Use the link below to sign in and update your card. It expires in ${MAGIC_LINK_TTL_MINUTES} minutes and can only be used once.</p>${emailButton(escapeHtml(link), "Sign in to SmartCardLink")}<p>If you did not request this, you can ignore this email.</p>`),
+      { clientId: client._id, sensitive: true }
+    );
+    await logAction("client", "CLIENT_LOGIN_LINK_SENT", client._id, `Login link sent to ${client.email1}`, { ip: req.ip });
+
+    return respSuccess(res, null, genericMessage);
+  } catch (err) {
+    logger.error({ err }, "❌ POST /api/client/login-link error");
+    return respError(res, "Server error sending login link.", 500, null, err);
+  }
+});
+
+
+// POST /api/client/login: Exchange a one-time login link token for a client session
+app.post("/api/client/login", loginLimiter, async (req, res) => {
+  try {
+    if (!JWT_SECRET) return respError(res, "Client authentication is not configured.", 503);
+    const token = String((req.body || {}).token || "");
+    if (!/^[a-f0-9]{64}$/.test(token)) return respError(res, "Invalid or expired login link.", 401);
+
+    // Clearing the hash in the same update makes the link single-use
+    const client = await Client.findOneAndUpdate(
+      { loginTokenHash: crypto.createHash("sha256").update(token).digest("hex"), loginTokenExpiresAt: { $gt: new Date() }, status: { $ne: "Deleted" } },
+      { $unset: { loginTokenHash: 1, loginTokenExpiresAt: 1 } },
+      { new: true }
+    );
+    if (!client) return respError(res, "Invalid or expired login link.", 401);
+
+    const session = jwt.sign({ clientId: client._id.toString(), scope: CLIENT_SCOPES.session }, JWT_SECRET, { expiresIn: CLIENT_SESSION_EXPIRES_IN, audience: JWT_AUDIENCES.client });
+    await logAction("client", "CLIENT_LOGIN", client._id, "Client logged in via email link", { ip: req.ip });
+
+    return respSuccess(res, { token: session, expiresIn: CLIENT_SESSION_EXPIRES_IN }, "Logged in successfully");
+  } catch (err) {
+    logger.error({ err }, "❌ POST /api/client/login error");
+    return respError(res, "Server error during login.", 500, null, err);
+  }
+});
+
+
+// POST /api/client/erasure/confirm: The client confirms an erasure request from the emailed link (single use)
+app.post("/api/client/erasure/confirm", loginLimiter, async (req, res) => {
+  try {
+    const token = String((req.body || {}).token || "");
+    if (!/^[a-f0-9]{64}$/.test(token)) return respError(res, "Invalid or expired confirmation link.", 401);
+
+    // Clearing the hash in the same update makes the link single-use
+    const erasure = await ErasureRequest.findOneAndUpdate(
+      { "verification.tokenHash": crypto.createHash("sha256").update(token).digest("hex"), "verification.expiresAt": { $gt: new Date() }, status: "awaiting_verification" },
+      { $set: { status: "verified", "verification.verifiedAt": new Date(), "verification.verifiedBy": "client" }, $unset: { "verification.tokenHash": 1 } },
+      { new: true }
+    );
+    if (!erasure) return respError(res, "Invalid or expired confirmation link.", 401);
+
+    await queueErasure(erasure);
+    await logAction("client", "ERASURE_CONFIRMED", erasure.client, "Client confirmed erasure from the emailed link", { erasureId: erasure._id });
+    return respSuccess(res, null, "Confirmed. Your card and personal data are being permanently deleted.");
+  } catch (err) {
+    logger.error({ err }, "❌ POST /api/client/erasure/confirm error");
+    return respError(res, "Server error confirming erasure.", 500, null, err);
+  }
+});
+
+
+// GET /api/client/me: The signed-in client's own card summary plus the fields they may edit
+app.get("/api/client/me", publicLimiter, protectClient(CLIENT_SCOPES.session), async (req, res) => {
+  const client = req.client;
+  const editable = Object.fromEntries(CLIENT_EDITABLE_FIELDS.map((field) => [field, client[field] || ""]));
+  const pending = await ChangeRequest.findOne({ client: client._id, status: "pending" }).catch(() => null);
+  return respSuccess(res, {
+    _id: client._id,
+    fullName: client.fullName,
+    company: client.company,
+    slug: client.slug,
+    status: client.status,
+    cardUrl: client.slug ? `${VCARD_BASE_URL}/${client.slug}` : null,
+    photoUrl: client.photoUrl,
+    ...editable,
+    socialLinks: client.socialLinks || {},
+    workingHours: client.workingHours || {},
+    pendingEdit: pending ? { _id: pending._id, changes: pending.changes, submittedAt: pending.updatedAt } : null,
+    requiresApproval: CLIENT_EDITS_REQUIRE_APPROVAL,
+  });
+});
+
+
+// PUT /api/client/profile: Client edits their own card (whitelisted fields only), optionally held for approval
+app.put("/api/client/profile", publicLimiter, protectClient(CLIENT_SCOPES.session), acceptPhoto, async (req, res) => {
+  try {
+    const client = req.client;
+    let changes;
+    try {
+      changes = pickClientEdits(req.body);
+    } catch (e) {
+      return respError(res, "Invalid socialLinks or workingHours JSON.", 400);
+    }
+
+    if (req.file) Object.assign(changes, await savePhotoUpload(req.file, { clientId: client._id, tags: ["client_photo", "client_self_service"] }));
+
+    if (!Object.keys(changes).length) return respError(res, "No editable fields provided.", 400);
+    const fields = Object.keys(changes).filter((field) => field !== "photoVariants").join(", ");
+
+    if (CLIENT_EDITS_REQUIRE_APPROVAL) {
+      // A newer submission replaces the client's pending one, and with it any photo that one uploaded
+      const previous = await ChangeRequest.findOne({ client: client._id, status: "pending" }).select("changes");
+      const changeRequest = await ChangeRequest.findOneAndUpdate(
+        { client: client._id, status: "pending" },
+        { $set: { changes, submittedBy: "client" } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+      recordHistory(client, req, { action: "CLIENT_EDIT_SUBMITTED", notes: `Client proposed changes to: ${fields}`, actor: "client" });
+      await client.save();
+      const replacedPhoto = previous && previous.changes && previous.changes.photoUrl;
+      if (replacedPhoto && replacedPhoto !== changes.photoUrl && replacedPhoto !== client.photoUrl) await deletePhotoUpload(previous.changes);
+      await logAction("client", "CLIENT_EDIT_SUBMITTED", client._id, `Pending approval: ${fields}`, { changeRequestId: changeRequest._id });
+      return respSuccess(res, { pendingEdit: { _id: changeRequest._id, changes, submittedAt: changeRequest.updatedAt } }, "Your changes were submitted for review.", 202);
+    }
+
+    const before = snapshotClient(client);
+    applyClientEdits(client, changes);
+    recordHistory(client, req, { action: "CLIENT_SELF_UPDATED", notes: `Client updated: ${fields}`, actor: "client", before });
+    await client.save();
+    await logAction("client", "CLIENT_SELF_UPDATED", client._id, `Client updated: ${fields}`, {});
+
+    return respSuccess(res, publicCardData(client), "Your card was updated.");
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+        return respError(res, `Validation Error: ${err.message}`, 400, null, err);
+    }
+    if (err instanceof RangeError) return respError(res, err.message, 400);
+    logger.error({ err }, "❌ PUT /api/client/profile error");
+    return respError(res, "Server error saving your changes.", 500, null, err);
+  }
+});
+
+
+// GET /api/client/analytics: The signed-in client's own card analytics (same shape as the admin per-client view)
+app.get("/api/client/analytics", publicLimiter, protectClient(CLIENT_SCOPES.analytics, CLIENT_SCOPES.session), async (req, res) => {
+  try {
+    const { from, to } = parseDateRange(req.query);
+    const stats = await aggregateCardEvents(req.client._id, from, to);
+    return respSuccess(res, { slug: req.client.slug, ...stats }, "Card analytics retrieved successfully");
+  } catch (err) {
+    if (err instanceof RangeError) return respError(res, err.message, 400);
+    logger.error({ err }, "❌ GET /api/client/analytics error");
+    return respError(res, "Server error fetching card analytics.", 500, null, err);
+  }
+});
+
+
+// GET /api/client/export: The signed-in client's own data export (same ZIP as the admin export)
+app.get("/api/client/export", publicLimiter, protectClient(CLIENT_SCOPES.session), async (req, res) => {
+  try {
+    const client = req.client;
+    const { entries, manifest } = await buildClientExport(client, "client");
+    recordHistory(client, req, { action: "DATA_EXPORTED", actor: "client", notes: `Data export downloaded by the client (${manifest.files.length} files)` });
+    await client.save();
+    await logAction("client", "DATA_EXPORTED", client._id, "Client downloaded their data export", { files: manifest.files.length, missingFiles: manifest.missingFiles });
+
+    await sendZip(res, `${client.slug || client._id}-data-export.zip`, entries);
+  } catch (err) {
+    logger.error({ err }, "❌ GET /api/client/export error");
+    return respError(res, "Server error exporting your data.", 500, null, err);
+  }
+});
+
+
+// POST /api/cards/:slug/events: Public beacon from vcard.js for vCard saves and button taps
+app.post("/api/cards/:slug/events", eventLimiter, async (req, res) => {
+  try {
+    const { type, action = null, referrer = "" } = req.body || {};
+    if (!["vcard_download", "tap"].includes(type)) return respError(res, "Invalid event type.", 400);
+    if (type === "tap" && !CARD_EVENT_ACTIONS.includes(action)) return respError(res, "Invalid event action.", 400);
+
+    const client = await Client.findOne({ slug: req.params.slug, status: "Active" }).select("_id slug");
+    if (!client) return respError(res, "vCard not found.", 404);
+
+    await recordCardEvent(req, client, type, type === "tap" ? action : null, referrer);
+    return res.status(204).end();
+  } catch (err) {
+    logger.error({ err }, "❌ POST /api/cards/:slug/events error");
+    return respError(res, "Server error recording event.", 500, null, err);
+  }
+});
+
+
+// POST /api/clients/:id/vcard: Queue vCard/QR creation, activation and the client email (poll GET /api/admin/jobs/:id).
+// Body { offlineQr: { format, errorCorrectionLevel, maxVersion } } also creates the offline QR; { offlineQr: false } stops it.
+app.post("/api/clients/:id/vcard", publicLimiter, canEdit, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const client = await Client.findById(id);
+    if (!client) return respError(res, "Client not found.", 404);
+    
+    if (!client.fullName || (!client.phone1 && !client.email1)) {
+      return respError(res, "Client must have fullName and at least one contact (phone1 or email1).", 400);
+    }
+    if (client.status === "Deleted") return respError(res, "Restore the client before publishing their vCard.", 409);
+
+    const offlineQr = req.body && req.body.offlineQr !== undefined ? parseOfflineQrOptions(req.body.offlineQr) : null;
+    if (offlineQr && offlineQr.enabled && !buildOfflineQr(client, offlineQr)) {
+      return respError(res, `The name and phone do not fit a version ${offlineQr.maxVersion} QR at error correction ${offlineQr.errorCorrectionLevel}. Allow a larger version or a lower level.`, 400);
+    }
+
+    const job = await enqueueJob("publish_vcard", {
+      clientId: String(client._id),
+      actor: actorName(req),
+      ip: req.ip || "",
+      userAgent: (req.get("user-agent") || "").substring(0, 300),
+      ...(offlineQr && { offlineQr }),
+    }, { createdBy: actorName(req) });
+    await logAction(actorName(req), "VCARD_QUEUED", client._id, "vCard creation queued", { jobId: job._id });
+
+    return respSuccess(res, { jobId: job._id, status: job.status }, "vCard creation queued.", 202);
+  } catch (err) {
+    if (err instanceof RangeError) return respError(res, err.message, 400);
+    logger.error({ err }, "❌ POST /api/clients/:id/vcard error");
     return respError(res, "Server error creating vCard.", 500, null, err);
   }
 });
@@ -739,46 +4720,97 @@ app.post("/api/clients/:id/vcard", publicLimiter, async (req, res) => {
 // Public View Route (VCard page)
 // ------------------------
 
-// GET /:slug: Public route to fetch the client data for client-side rendering
+// GET /c/:code: Permanent short link printed in QR codes. 302 (not 301) because the slug it points at can change.
+app.get("/c/:code", publicLimiter, async (req, res) => {
+  try {
+    const client = await Client.findOne({ shortCode: req.params.code, status: "Active" }).select("slug");
+    if (!client) {
+      await logAction("system", "SHORT_CODE_MISSING", null, `Attempted access for missing/inactive short code: ${req.params.code}`, { ip: req.ip });
+      return res.redirect(APP_FALLBACK_URL || "/404.html");
+    }
+    return res.redirect(302, `/${encodeURIComponent(client.slug)}`);
+  } catch (err) {
+    logger.error({ err }, "❌ GET /c/:code error");
+    return respError(res, "Error resolving short link.", 500, null, err);
+  }
+});
+
+
+// GET /:slug/preview.png: Social preview image (og:image), cached until the client record changes
+app.get("/:slug/preview.png", publicLimiter, async (req, res) => {
+  try {
+    const client = await Client.findOne({ slug: req.params.slug, status: "Active" });
+    if (!client) return respError(res, "vCard not found.", 404);
+
+    const etag = `"${client._id}-${new Date(client.updatedAt).getTime()}"`;
+    res.set({ "ETag": etag, "Cache-Control": "public, max-age=3600" });
+    if (req.headers["if-none-match"] === etag) return res.status(304).end();
+
+    const png = await generatePreviewImage(client);
+    return res.type("png").send(png);
+  } catch (err) {
+    logger.error({ err }, "❌ GET /:slug/preview.png error");
+    return respError(res, "Error rendering preview image.", 500, null, err);
+  }
+});
+
+// GET /:slug/contact.vcf: Public "save contact" file (?format=vcard4 for vCard 4.0), cached until the client record changes
+app.get("/:slug/contact.vcf", publicLimiter, async (req, res) => {
+  try {
+    const format = String(req.query.format || CONTACT_DEFAULT_FORMAT).toLowerCase();
+    if (!["vcard3", "vcard4"].includes(format)) return respError(res, "format must be vcard3 or vcard4.", 400);
+    const client = await Client.findOne({ slug: req.params.slug, status: "Active" });
+    if (!client) return respError(res, "vCard not found.", 404);
+
+    const etag = `"${client._id}-${new Date(client.updatedAt).getTime()}-${format}"`;
+    res.set({ "ETag": etag, "Cache-Control": "public, max-age=3600" });
+    if (req.headers["if-none-match"] === etag) return res.status(304).end();
+
+    return await sendContact(res, client, format);
+  } catch (err) {
+    logger.error({ err }, "❌ GET /:slug/contact.vcf error");
+    return respError(res, "Error rendering contact.", 500, null, err);
+  }
+});
+
+// GET /:slug: Public card page. Browsers get the rendered HTML card; Accept: application/json gets the data.
 app.get("/:slug", publicLimiter, async (req, res) => {
-  try {
-    const slug = req.params.slug;
-    // Find the client and ensure status is Active
-    const client = await Client.findOne({ slug: slug, status: "Active" });
-    
-    if (!client) {
-      await logAction("system", "VCARD_MISSING", null, `Attempted access for missing/inactive slug: ${slug}`, { ip: req.ip });
-      // Redirect to the fallback URL from .env
-      return res.redirect(APP_FALLBACK_URL || "/404.html"); 
-    }
-    
-    // Log the visit
-    await logAction("system", "VCARD_VISIT", client._id, `Visit to public page: ${slug}`, { ip: req.ip });
-    
-    // Data returned for client-side JavaScript rendering 
-    const vcardData = {
-        fullName: client.fullName,
-        title: client.title,
-        company: client.company,
-        phone1: client.phone1,
-        email1: client.email1,
-        website: client.website || client.businessWebsite, // Consolidated
-        address: client.address,
-        bio: client.bio,
-        photoUrl: client.photoUrl,
-        vcardUrl: client.vcardUrl,
-        qrCodeUrl: client.qrCodeUrl,
-        socialLinks: client.socialLinks, 
-        workingHours: client.workingHours,
-    };
-    
-    // Return the data as a JSON response for dynamic rendering on the client-side.
-    return respSuccess(res, vcardData, "vCard data retrieved successfully");
+  try {
+    const slug = req.params.slug;
+    const wantsJson = req.accepts(["html", "json"]) === "json";
+    // Find the client and ensure status is Active
+    const client = await Client.findOne({ slug: slug, status: "Active" });
+    
+    if (!client) {
+      // Former slugs (renamed clients) permanently redirect to the current one
+      const alias = await SlugAlias.findOne({ slug }).populate("client", "slug status");
+      if (alias && alias.client && alias.client.status === "Active") {
+        const query = req.originalUrl.includes("?") ? req.originalUrl.slice(req.originalUrl.indexOf("?")) : "";
+        return res.redirect(301, `/${encodeURIComponent(alias.client.slug)}${query}`);
+      }
 
-  } catch (err) {
-    logger.error({ err }, "❌ GET /:slug error");
-    return respError(res, "Error retrieving vCard.", 500, null, err);
-  }
+      await logAction("system", "VCARD_MISSING", null, `Attempted access for missing/inactive slug: ${slug}`, { ip: req.ip });
+      if (wantsJson) return respError(res, "vCard not found.", 404);
+      // Redirect to the fallback URL from .env
+      return res.redirect(APP_FALLBACK_URL || "/404.html"); 
+    }
+    
+    // Log the visit
+    await logAction("system", "VCARD_VISIT", client._id, `Visit to public page: ${slug}`, { ip: req.ip });
+    
+    res.vary("Accept");
+    if (wantsJson) {
+      return respSuccess(res, publicCardData(client), "vCard data retrieved successfully");
+    }
+
+    // Only rendered page loads count as views (JSON consumers are API integrations)
+    recordCardEvent(req, client, "view");
+    return res.type("html").send(renderCardPage(client));
+
+  } catch (err) {
+    logger.error({ err }, "❌ GET /:slug error");
+    return respError(res, "Error retrieving vCard.", 500, null, err);
+  }
 });
 
 // ------------------------